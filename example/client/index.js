@@ -214,6 +214,11 @@ async function main() {
                 // onToolResult callback
                 (toolName, result) => {
                     ui.setStatus(`Tool ${toolName} completed`);
+                },
+                // onToolProgress callback - show phases of slow tools in the status bar
+                (toolName, { progress, total, message }) => {
+                    const step = total ? `${progress}/${total}` : `${progress}`;
+                    ui.setStatus(`Tool ${toolName}: ${message || 'working'} (${step})`);
                 }
             );
 
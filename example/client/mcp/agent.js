@@ -70,6 +70,36 @@ function extractToolOutputs(result, debug = false) {
     return outputs;
 }
 
+/**
+ * MCP server connection that forwards tool progress notifications.
+ *
+ * The OpenAI Agents SDK calls tools without a progress callback, so this
+ * subclass reissues the call on the SDK's underlying MCP client session with
+ * `onprogress` set. This relies on SDK internals (`underlying.session`,
+ * `underlying.timeout`) and falls back to the stock behavior without them.
+ */
+class ProgressMCPServerStreamableHttp extends MCPServerStreamableHttp {
+    onProgress = null;
+
+    async callTool(toolName, args) {
+        const session = this.underlying?.session;
+        if (!this.onProgress || !session) {
+            return super.callTool(toolName, args);
+        }
+
+        const response = await session.callTool({
+            name: toolName,
+            arguments: args ?? {}
+        }, undefined, {
+            timeout: this.underlying.timeout,
+            resetTimeoutOnProgress: true,
+            onprogress: (progress) => this.onProgress(toolName, progress)
+        });
+
+        return response.content;
+    }
+}
+
 export class MCPAgent {
     #mcpServer;
     #agent;
@@ -79,13 +109,16 @@ export class MCPAgent {
     #dualResponseClient;
     #pendingDualResponses;
     #debug;
+    #token;
 
     constructor(serverUrl, options = {}) {
         this.#serverUrl = serverUrl;
         this.#model = options.model || process.env.OPENAI_MODEL || 'gpt-4o';
         this.#history = [];
         this.#debug = options.debug || false;
-        this.#dualResponseClient = new DualResponseClient({ debug: this.#debug });
+        // Bearer token for servers with authentication enabled, sent to /mcp and /resources
+        this.#token = options.token || process.env.MCP_API_TOKEN || null;
+        this.#dualResponseClient = new DualResponseClient({ debug: this.#debug, token: this.#token });
         this.#pendingDualResponses = [];
     }
 
@@ -94,9 +127,12 @@ export class MCPAgent {
      */
     async connect() {
         // Create MCP server connection
-        this.#mcpServer = new MCPServerStreamableHttp({
+        this.#mcpServer = new ProgressMCPServerStreamableHttp({
             name: 'insights-mcp',
-            url: this.#serverUrl
+            url: this.#serverUrl,
+            requestInit: this.#token
+                ? { headers: { 'Authorization': `Bearer ${this.#token}` } }
+                : undefined
         });
 
         // Connect to the MCP server first
@@ -155,9 +191,10 @@ Start by calling the 'tips' tool to understand the database structure if this is
      * @param {string} prompt - User's input
      * @param {function} onToolCall - Callback when a tool is called: (toolName, args) => void
      * @param {function} onToolResult - Callback when tool returns: (toolName, result) => void
+     * @param {function} onToolProgress - Callback on tool progress: (toolName, { progress, total, message }) => void
      * @returns {Promise<{text: string, tables: Array, dualResponses: Array}>}
      */
-    async chat(prompt, onToolCall, onToolResult) {
+    async chat(prompt, onToolCall, onToolResult, onToolProgress) {
         if (this.#debug) {
             console.log('[DEBUG] Starting chat with prompt:', prompt);
             console.log('[DEBUG] History length:', this.#history.length);
@@ -166,6 +203,16 @@ Start by calling the 'tips' tool to understand the database structure if this is
         // Clear pending dual-responses for this chat turn
         this.#pendingDualResponses = [];
 
+        // Route progress notifications for this turn's tool calls
+        this.#mcpServer.onProgress = onToolProgress
+            ? (toolName, progress) => {
+                if (this.#debug) {
+                    console.log('[DEBUG] Tool progress:', toolName, progress);
+                }
+                onToolProgress(toolName, progress);
+            }
+            : null;
+
         // Build input: if we have history, append the new user message to it
         // Otherwise just use the prompt string
         const input = this.#history.length > 0
@@ -10,9 +10,20 @@
 
 export class DualResponseClient {
     #debug;
+    #token;
 
+    /**
+     * @param {Object} options - Configuration options
+     * @param {boolean} options.debug - Enable debug logging
+     * @param {string} options.token - Bearer token for the REST endpoint (same one the MCP connection uses)
+     */
     constructor(options = {}) {
         this.#debug = options.debug || false;
+        this.#token = options.token || null;
+    }
+
+    #authHeaders() {
+        return this.#token ? { 'Authorization': `Bearer ${this.#token}` } : {};
     }
 
     /**
@@ -150,13 +161,20 @@ export class DualResponseClient {
             // Metadata
             totalCount: structured.metadata?.total_count || 0,
             sampleCount: structured.metadata?.sample_count || structured.results?.length || 0,
+            storage: structured.metadata?.storage || null,
+            // An identical earlier query's resource was returned: same URL as before
+            reused: structured.metadata?.reused === true,
+            parentUri: structured.metadata?.parent_uri || null,
 
             // Resource access
             resourceUri: structured.resource.uri,
             resourceUrl: structured.resource.url,
+            name: structured.resource.name,
+            tags: structured.metadata?.tags || [],
 
             // Timestamps
-            executedAt: structured.metadata?.executed_at
+            executedAt: structured.metadata?.executed_at,
+            expiresAt: structured.metadata?.expires_at || null
         };
 
         if (this.#debug) {
@@ -197,7 +215,7 @@ export class DualResponseClient {
             console.log('[DualResponse] Options:', { skip, limit });
         }
 
-        const response = await fetch(url.toString());
+        const response = await fetch(url.toString(), { headers: this.#authHeaders() });
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({ message: 'Unknown error' }));
@@ -269,17 +287,18 @@ export class DualResponseClient {
      * Get resource metadata without fetching data
      *
      * @param {string} resourceUrl - The REST endpoint URL
-     * @returns {Promise<Object>} Resource metadata
+     * @returns {Promise<Object>} Resource metadata (status, expires_at, access_count, ...)
      */
     async getMetadata(resourceUrl) {
         if (this.#debug) {
             console.log('[DualResponse] Getting metadata:', resourceUrl);
         }
 
-        const response = await fetch(resourceUrl, {
+        const response = await fetch(`${resourceUrl}/metadata`, {
             method: 'GET',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...this.#authHeaders()
             }
         });
 
@@ -290,4 +309,187 @@ export class DualResponseClient {
 
         return response.json();
     }
+
+    /**
+     * Get the queries that led to a resource ("how we got here"), oldest first
+     *
+     * @param {string} resourceUrl - The REST endpoint URL
+     * @returns {Promise<Object>} { id, depth, lineage: [{ id, sql, total_count, created_at, status, ... }] }
+     */
+    async getLineage(resourceUrl) {
+        if (this.#debug) {
+            console.log('[DualResponse] Getting lineage:', resourceUrl);
+        }
+
+        const response = await fetch(`${resourceUrl}/lineage`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.#authHeaders()
+            }
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ message: 'Unknown error' }));
+            throw new Error(error.message || `Lineage fetch failed with status ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Pin a resource so it doesn't expire (e.g. to keep results for a report)
+     *
+     * @param {string} resourceUrl - The REST endpoint URL
+     * @param {Object} options - Pin options
+     * @param {boolean} options.snapshot - Also capture the current rows so the result stops changing
+     * @returns {Promise<Object>} Updated resource metadata
+     */
+    async pin(resourceUrl, options = {}) {
+        return this.#send('PUT', resourceUrl, { pinned: true, snapshot: options.snapshot || undefined });
+    }
+
+    /**
+     * Unpin a resource; it expires one TTL from now unless fetched again
+     *
+     * @param {string} resourceUrl - The REST endpoint URL
+     * @returns {Promise<Object>} Updated resource metadata
+     */
+    async unpin(resourceUrl) {
+        return this.#send('PUT', resourceUrl, { pinned: false });
+    }
+
+    /**
+     * Keep a resource for a while longer
+     *
+     * @param {string} resourceUrl - The REST endpoint URL
+     * @param {number} ttlSeconds - Seconds from now until it expires
+     * @returns {Promise<Object>} Updated resource metadata
+     */
+    async extend(resourceUrl, ttlSeconds) {
+        return this.#send('PUT', resourceUrl, { ttl_seconds: ttlSeconds });
+    }
+
+    /**
+     * Rename, describe or retag a resource without changing its lifecycle
+     *
+     * @param {string} resourceUrl - The REST endpoint URL
+     * @param {Object} labels - { name, description, tags } (tags replace the current ones)
+     * @returns {Promise<Object>} Updated resource metadata
+     */
+    async describe(resourceUrl, labels) {
+        return this.#send('PUT', resourceUrl, {
+            name: labels.name,
+            description: labels.description,
+            tags: labels.tags
+        });
+    }
+
+    /**
+     * List the caller's saved resources, newest first
+     *
+     * @param {string} resourcesUrl - The REST collection URL (e.g. http://localhost:3000/resources)
+     * @param {Object} filter - Filter and page options
+     * @param {Array<string>} filter.tags - Only resources with every one of these tags
+     * @param {string} filter.name - Case-insensitive substring of the name
+     * @param {boolean} filter.pinned - Only pinned (true) or unpinned (false) resources
+     * @param {string} filter.createdAfter - ISO timestamp
+     * @param {string} filter.createdBefore - ISO timestamp
+     * @param {number} filter.limit - Page size (default: 50)
+     * @param {string} filter.cursor - nextCursor from the previous page
+     * @returns {Promise<{ resources: Array<Object>, nextCursor: string|null }>}
+     */
+    async listResources(resourcesUrl, filter = {}) {
+        const params = new URLSearchParams();
+        for (const tag of filter.tags || []) {
+            params.append('tag', tag);
+        }
+        const optional = {
+            name: filter.name,
+            pinned: filter.pinned,
+            created_after: filter.createdAfter,
+            created_before: filter.createdBefore,
+            limit: filter.limit,
+            cursor: filter.cursor
+        };
+        for (const [key, value] of Object.entries(optional)) {
+            if (value !== undefined && value !== null) {
+                params.set(key, String(value));
+            }
+        }
+
+        const query = params.toString();
+        const url = `${resourcesUrl.replace(/\/$/, '')}/${query ? `?${query}` : ''}`;
+
+        if (this.#debug) {
+            console.log('[DualResponse] Listing resources:', url);
+        }
+
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.#authHeaders()
+            }
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ message: 'Unknown error' }));
+            throw new Error(error.message || `Resource listing failed with status ${response.status}`);
+        }
+
+        const body = await response.json();
+        return { resources: body.resources, nextCursor: body.next_cursor };
+    }
+
+    /**
+     * Mint a signed link that reads the resource without a token (e.g. a CSV for a stakeholder)
+     *
+     * @param {string} resourceUrl - The REST endpoint URL
+     * @param {Object} options - Share options
+     * @param {number} options.ttlSeconds - Link lifetime (default: the server's, 24 hours)
+     * @param {string} options.format - json (default) | csv
+     * @param {number} options.rows - Most rows the link returns (default: all)
+     * @returns {Promise<Object>} { id, url, expires_at, format, rows, ... }
+     */
+    async share(resourceUrl, options = {}) {
+        return this.#send('POST', `${resourceUrl}/shares`, {
+            ttl_seconds: options.ttlSeconds,
+            format: options.format,
+            rows: options.rows
+        });
+    }
+
+    /**
+     * Revoke a share link before it expires
+     *
+     * @param {string} resourceUrl - The REST endpoint URL
+     * @param {string} shareId - id returned by share()
+     * @returns {Promise<void>}
+     */
+    async revokeShare(resourceUrl, shareId) {
+        await this.#send('DELETE', `${resourceUrl}/shares/${encodeURIComponent(shareId)}`);
+    }
+
+    async #send(method, url, body) {
+        if (this.#debug) {
+            console.log(`[DualResponse] ${method}:`, url, body || '');
+        }
+
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.#authHeaders()
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ message: 'Unknown error' }));
+            throw new Error(error.message || `${method} ${url} failed with status ${response.status}`);
+        }
+
+        return response.status === 204 ? undefined : response.json();
+    }
 }
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * ApiKeyAuthenticator - Static API keys mapped to principals
+ *
+ * Keys are held as SHA-256 digests, so a keys file may list `sha256` instead
+ * of the plain `key`:
+ *
+ *   [
+ *     { "key": "dev-key-123", "subject": "alice", "tenant": "acme", "roles": ["analyst"] },
+ *     { "sha256": "9f86d0...", "subject": "etl-job", "scopes": ["resources:read"] }
+ *   ]
+ */
+class ApiKeyAuthenticator {
+    #principals;
+
+    /**
+     * @param {Array<Object>} entries - { key | sha256, subject, tenant, roles, scopes }
+     */
+    constructor(entries = []) {
+        this.name = 'api-key';
+        this.#principals = new Map();
+
+        for (const entry of entries) {
+            const digest = entry.sha256 || (entry.key && sha256(entry.key));
+            if (!digest || !entry.subject) {
+                throw new Error('API key entries need a key (or sha256) and a subject');
+            }
+
+            this.#principals.set(digest.toLowerCase(), {
+                type: 'api-key',
+                subject: entry.subject,
+                tenant: entry.tenant || null,
+                roles: entry.roles || [],
+                scopes: entry.scopes || [],
+                expiresAt: null
+            });
+        }
+    }
+
+    /**
+     * Load keys from a JSON file
+     * @param {string} file - Path to a JSON array of key entries
+     * @returns {ApiKeyAuthenticator}
+     */
+    static fromFile(file) {
+        return new ApiKeyAuthenticator(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    }
+
+    get size() {
+        return this.#principals.size;
+    }
+
+    /**
+     * @param {string} token - Bearer token
+     * @returns {Promise<Object|null>} Principal, or null if the token is not a known key
+     */
+    async authenticate(token) {
+        const principal = this.#principals.get(sha256(token));
+        return principal ? { ...principal } : null;
+    }
+}
+
+module.exports = { ApiKeyAuthenticator };
@@ -0,0 +1,30 @@
+/**
+ * Authentication errors - Map to RFC 6750 bearer token error responses
+ */
+
+const AuthErrorCodes = Object.freeze({
+    INVALID_REQUEST: 'invalid_request',
+    INVALID_TOKEN: 'invalid_token',
+    INSUFFICIENT_SCOPE: 'insufficient_scope'
+});
+
+const STATUS = {
+    invalid_request: 400,
+    invalid_token: 401,
+    insufficient_scope: 403
+};
+
+class AuthError extends Error {
+    /**
+     * @param {string} code - One of AuthErrorCodes
+     * @param {string} message - Description sent to the client (never include the token)
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+        this.status = STATUS[code] || 401;
+    }
+}
+
+module.exports = { AuthError, AuthErrorCodes };
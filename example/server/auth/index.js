@@ -0,0 +1,44 @@
+const { AuthError, AuthErrorCodes } = require('./errors');
+const { ApiKeyAuthenticator } = require('./api-keys');
+const { JwtAuthenticator } = require('./jwt');
+const { requireAuth } = require('./middleware');
+
+/**
+ * Build the authenticators configured through environment variables
+ *
+ *   API_KEYS_FILE     - JSON array of API key entries (see ApiKeyAuthenticator)
+ *   JWT_JWKS_FILE     - JWKS file with the public keys JWTs are signed with
+ *   JWT_ISSUER        - Required `iss` claim (optional)
+ *   JWT_AUDIENCE      - Required `aud` claim (optional)
+ *   JWT_TENANT_CLAIM  - Claim holding the tenant (default: tenant)
+ *
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Array<Object>} Authenticators; empty when authentication is not configured
+ */
+function authenticatorsFromEnv(env = process.env) {
+    const authenticators = [];
+
+    if (env.API_KEYS_FILE) {
+        authenticators.push(ApiKeyAuthenticator.fromFile(env.API_KEYS_FILE));
+    }
+
+    if (env.JWT_JWKS_FILE) {
+        authenticators.push(new JwtAuthenticator({
+            jwksFile: env.JWT_JWKS_FILE,
+            issuer: env.JWT_ISSUER,
+            audience: env.JWT_AUDIENCE,
+            tenantClaim: env.JWT_TENANT_CLAIM
+        }));
+    }
+
+    return authenticators;
+}
+
+module.exports = {
+    AuthError,
+    AuthErrorCodes,
+    ApiKeyAuthenticator,
+    JwtAuthenticator,
+    requireAuth,
+    authenticatorsFromEnv
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { AuthError, AuthErrorCodes } = require('./errors');
+
+// Asymmetric algorithms only: HS* would need a shared secret and "none" is never accepted
+const ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { hash: null }
+};
+
+const DEFAULT_CLOCK_TOLERANCE_SEC = 30;
+
+function decodeSegment(segment, what) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+    } catch {
+        decoded = null;
+    }
+    // Header and claims are JSON objects; "null", "1" or "[]" are not
+    if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+        throw new AuthError(AuthErrorCodes.INVALID_TOKEN, `Malformed JWT ${what}`);
+    }
+    return decoded;
+}
+
+function invalid(message) {
+    return new AuthError(AuthErrorCodes.INVALID_TOKEN, message);
+}
+
+/**
+ * JwtAuthenticator - Verifies JWTs against a locally configured JWKS file
+ *
+ * Checks the signature (key chosen by `kid`), `exp` (required), `nbf`, and
+ * `iss`/`aud` when configured, then maps claims to a principal:
+ *
+ *   sub -> subject, tenant claim -> tenant, roles -> roles,
+ *   scope (space separated) or scp (array) -> scopes
+ */
+class JwtAuthenticator {
+    #jwksFile;
+    #keys;
+    #issuer;
+    #audience;
+    #tenantClaim;
+    #clockTolerance;
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.jwksFile - Path to a JWKS JSON file ({ keys: [...] })
+     * @param {string} options.issuer - Required `iss` (optional)
+     * @param {string} options.audience - Required `aud` (optional)
+     * @param {string} options.tenantClaim - Claim holding the tenant (default: tenant)
+     * @param {number} options.clockToleranceSec - Allowed clock skew (default: 30)
+     */
+    constructor(options = {}) {
+        if (!options.jwksFile) {
+            throw new Error('JwtAuthenticator requires a jwksFile');
+        }
+
+        this.name = 'jwt';
+        this.#jwksFile = options.jwksFile;
+        this.#issuer = options.issuer || null;
+        this.#audience = options.audience || null;
+        this.#tenantClaim = options.tenantClaim || 'tenant';
+        this.#clockTolerance = options.clockToleranceSec ?? DEFAULT_CLOCK_TOLERANCE_SEC;
+        this.reload();
+    }
+
+    /**
+     * Re-read the JWKS file (e.g. after key rotation)
+     */
+    reload() {
+        const jwks = JSON.parse(fs.readFileSync(this.#jwksFile, 'utf-8'));
+        if (!Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+            throw new Error(`No keys in JWKS file: ${this.#jwksFile}`);
+        }
+
+        this.#keys = jwks.keys.map(jwk => ({
+            kid: jwk.kid || null,
+            alg: jwk.alg || null,
+            key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        }));
+    }
+
+    #findKey(header) {
+        if (header.kid) {
+            return this.#keys.find(k => k.kid === header.kid) || null;
+        }
+        return this.#keys.length === 1 ? this.#keys[0] : null;
+    }
+
+    /**
+     * @param {string} token - Bearer token
+     * @returns {Promise<Object|null>} Principal, or null if the token is not a JWT
+     * @throws {AuthError} If it is a JWT that fails verification
+     */
+    async authenticate(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        const [encodedHeader, encodedPayload, encodedSignature] = parts;
+        const header = decodeSegment(encodedHeader, 'header');
+        const claims = decodeSegment(encodedPayload, 'payload');
+
+        const algorithm = Object.hasOwn(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : null;
+        if (!algorithm) {
+            throw invalid(`Unsupported JWT algorithm: ${header.alg}`);
+        }
+
+        const jwk = this.#findKey(header);
+        if (!jwk) {
+            throw invalid('No matching key for JWT');
+        }
+        if (jwk.alg && jwk.alg !== header.alg) {
+            throw invalid('JWT algorithm does not match its key');
+        }
+
+        // crypto.verify throws when the algorithm doesn't fit the key (ES256 on an RSA key, say)
+        let verified;
+        try {
+            verified = crypto.verify(
+                algorithm.hash,
+                Buffer.from(`${encodedHeader}.${encodedPayload}`),
+                {
+                    key: jwk.key,
+                    padding: algorithm.padding,
+                    saltLength: algorithm.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined,
+                    dsaEncoding: algorithm.dsaEncoding
+                },
+                Buffer.from(encodedSignature, 'base64url')
+            );
+        } catch {
+            verified = false;
+        }
+        if (!verified) {
+            throw invalid('Invalid JWT signature');
+        }
+
+        this.#checkClaims(claims);
+
+        const scopes = typeof claims.scope === 'string'
+            ? claims.scope.split(' ').filter(Boolean)
+            : (Array.isArray(claims.scp) ? claims.scp : []);
+
+        return {
+            type: 'jwt',
+            subject: claims.sub,
+            tenant: claims[this.#tenantClaim] || null,
+            roles: Array.isArray(claims.roles) ? claims.roles : [],
+            scopes,
+            expiresAt: claims.exp,
+            claims
+        };
+    }
+
+    #checkClaims(claims) {
+        const now = Math.floor(Date.now() / 1000);
+
+        if (typeof claims.exp !== 'number') {
+            throw invalid('JWT has no expiration');
+        }
+        if (claims.exp + this.#clockTolerance < now) {
+            throw invalid('JWT has expired');
+        }
+        if (typeof claims.nbf === 'number' && claims.nbf - this.#clockTolerance > now) {
+            throw invalid('JWT is not valid yet');
+        }
+        if (!claims.sub) {
+            throw invalid('JWT has no subject');
+        }
+        if (this.#issuer && claims.iss !== this.#issuer) {
+            throw invalid('JWT issuer is not trusted');
+        }
+        if (this.#audience) {
+            const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+            if (!audiences.includes(this.#audience)) {
+                throw invalid('JWT audience does not match this server');
+            }
+        }
+    }
+}
+
+module.exports = { JwtAuthenticator };
@@ -0,0 +1,96 @@
+const { AuthError, AuthErrorCodes } = require('./errors');
+const { loggerFrom } = require('../mcp/logger');
+const { metricsFrom } = require('../mcp/metrics');
+
+/**
+ * Express middleware requiring a valid bearer token
+ *
+ * Authenticators are tried in order; each returns a principal, null when the
+ * token isn't one of its kind, or throws AuthError when it is but fails
+ * verification. On success the principal is set on `req.principal`, and on
+ * `req.auth` in the SDK's AuthInfo shape so MCP handlers see it as
+ * `extra.authInfo`. CORS preflight (OPTIONS) requests pass through, as do
+ * requests `options.allow` accepts; the route must then check those itself.
+ *
+ * @param {Array<Object>} authenticators - Objects with async authenticate(token)
+ * @param {Object} options - Configuration options
+ * @param {string} options.realm - Realm for WWW-Authenticate (default: mcp)
+ * @param {Logger} options.logger - Logger (see mcp/logger)
+ * @param {MetricsRegistry} options.metrics - Metrics registry (see mcp/metrics)
+ * @param {Function} options.allow - Optional (req) => boolean for requests carrying
+ *   their own credentials, e.g. signed share links (see resources/share)
+ * @returns {Function} Express middleware
+ */
+function requireAuth(authenticators, options = {}) {
+    const realm = options.realm || 'mcp';
+    const allow = options.allow || (() => false);
+    const logger = loggerFrom(options, 'Auth');
+    const attempts = metricsFrom(options)
+        .counter('auth_requests_total', 'Authentication attempts by result', ['result']);
+
+    const challenge = (res, error) => {
+        const params = [`realm="${realm}"`];
+        if (error) {
+            params.push(`error="${error.code}"`, `error_description="${error.message}"`);
+        }
+        res.setHeader('WWW-Authenticate', `Bearer ${params.join(', ')}`);
+    };
+
+    return async (req, res, next) => {
+        if (req.method === 'OPTIONS' || allow(req)) {
+            return next();
+        }
+
+        const header = req.get('Authorization');
+        if (!header) {
+            attempts.inc({ result: 'missing' });
+            challenge(res);
+            return res.status(401).json({
+                error: 'unauthorized',
+                message: 'Authentication required: send Authorization: Bearer <token>'
+            });
+        }
+
+        try {
+            const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+            if (!match) {
+                throw new AuthError(AuthErrorCodes.INVALID_REQUEST, 'Expected Authorization: Bearer <token>');
+            }
+            const token = match[1];
+
+            let principal = null;
+            for (const authenticator of authenticators) {
+                principal = await authenticator.authenticate(token);
+                if (principal) {
+                    break;
+                }
+            }
+            if (!principal) {
+                throw new AuthError(AuthErrorCodes.INVALID_TOKEN, 'Unknown or invalid token');
+            }
+
+            req.principal = principal;
+            req.auth = {
+                token,
+                clientId: principal.subject,
+                scopes: principal.scopes,
+                expiresAt: principal.expiresAt || undefined,
+                extra: { principal }
+            };
+            attempts.inc({ result: 'ok' });
+            next();
+        } catch (error) {
+            if (!(error instanceof AuthError)) {
+                logger.error('Authenticator failed', { error });
+                return res.status(500).json({ error: 'server_error', message: 'Authentication failed' });
+            }
+
+            attempts.inc({ result: error.code });
+            logger.warn('Rejected credentials', { code: error.code, reason: error.message, path: req.originalUrl });
+            challenge(res, error);
+            res.status(error.status).json({ error: error.code, message: error.message });
+        }
+    };
+}
+
+module.exports = { requireAuth };
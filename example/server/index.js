@@ -1,15 +1,20 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
-const { MCPServer, Toolbox } = require('./mcp');
+const { MCPServer, Toolbox, ResourceProvider, PromptLibrary, logToolCalls, createLogger, createMetrics, METRICS_CONTENT_TYPE, corsOriginsFromEnv, corsPreflight } = require('./mcp');
 
-// Import tool factories
-const { datetime, datetime_converter } = require('./tools/datetime');
-const { tips, schema, query } = require('./tools/database');
-const { queryDualResponse } = require('./tools/database-dual-response');
+// Import prompt factories
+const { comparePeerInstitutions, programTrendReport } = require('./prompts/reports');
 
 // Import resource store and router for dual-response
 const { ResourceStore } = require('./resources/store');
+const { storeFromEnv } = require('./resources/stores');
 const { createResourceRouter } = require('./resources/router');
+const { shareLinksFromEnv, isShareRequest } = require('./resources/share');
+const { queryResults, queryResultsPage } = require('./resources/provider');
+
+// Bearer-token authentication shared by /mcp and /resources
+const { requireAuth, authenticatorsFromEnv } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,79 +22,197 @@ const PORT = process.env.PORT || 3000;
 // Configuration
 const DEBUG = process.env.DEBUG === 'true' || process.argv.includes('--debug');
 const USE_DUAL_RESPONSE = process.env.DUAL_RESPONSE !== 'false';
+const USE_SESSIONS = process.env.MCP_STATEFUL === 'true';
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS) || undefined;
+const WATCH_TOOLS = process.env.WATCH_TOOLS === 'true' || process.argv.includes('--watch-tools');
+const TOOLS_DIR = path.join(__dirname, 'tools');
+// Browser origins allowed to call /mcp and /resources (none unless CORS_ORIGINS is set)
+const CORS_ORIGINS = corsOriginsFromEnv();
 
-if (DEBUG) {
-    console.log('[Server] ========================================');
-    console.log('[Server] Debug mode: ENABLED');
-    console.log('[Server] Dual-response mode:', USE_DUAL_RESPONSE ? 'ENABLED' : 'DISABLED');
-    console.log('[Server] ========================================');
-}
+// Logging: LOG_LEVEL (debug|info|warn|error|silent), LOG_FORMAT (text|json),
+// LOG_REDACT_SQL=false to keep literals in logged SQL
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || (DEBUG ? 'debug' : 'info'),
+    format: process.env.LOG_FORMAT,
+    redactSql: process.env.LOG_REDACT_SQL !== 'false',
+    stream: process.stdout
+});
+const log = logger.child('Server');
+
+// Metrics registry, served at /metrics in the Prometheus text format
+const metrics = createMetrics();
+
+log.debug('Configuration', {
+    dualResponse: USE_DUAL_RESPONSE,
+    resourceStore: process.env.RESOURCE_STORE || 'memory',
+    sessions: USE_SESSIONS ? 'stateful' : 'stateless',
+    shareLinks: Boolean(process.env.SHARE_LINK_SECRET),
+    watchTools: WATCH_TOOLS
+});
 
 // Middleware
 app.use(express.json());
 
+// Authentication: API keys (API_KEYS_FILE) and/or JWTs (JWT_JWKS_FILE).
+// With neither configured both endpoints stay anonymous, as before.
+const authenticators = authenticatorsFromEnv();
+const authenticate = authenticators.length > 0
+    ? requireAuth(authenticators, { realm: 'insights-mcp', logger, metrics })
+    : (req, res, next) => next();
+// /resources also accepts signed share links, which the resource router verifies
+const authenticateResources = authenticators.length > 0
+    ? requireAuth(authenticators, { realm: 'insights-mcp', logger, metrics, allow: isShareRequest })
+    : authenticate;
+
+// Signed share links for resources (SHARE_LINK_SECRET; disabled without one)
+const shareLinks = shareLinksFromEnv();
+
+if (authenticators.length > 0) {
+    log.info('Authentication enabled', { authenticators: authenticators.map(a => a.name) });
+} else {
+    log.warn('Authentication disabled: set API_KEYS_FILE or JWT_JWKS_FILE to require bearer tokens');
+}
+
 // Create shared resource store for dual-response
-const resourceStore = new ResourceStore({ debug: DEBUG });
+const resourceStore = new ResourceStore({
+    store: storeFromEnv(),
+    logger,
+    metrics,
+    binding: process.env.RESOURCE_BINDING,
+    ttlMs: parseInt(process.env.RESOURCE_TTL_MS) || undefined,
+    slidingRenewal: process.env.RESOURCE_SLIDING_TTL !== 'false',
+    cleanupIntervalMs: process.env.RESOURCE_CLEANUP_INTERVAL_MS ? parseInt(process.env.RESOURCE_CLEANUP_INTERVAL_MS) : undefined,
+    maxResources: parseInt(process.env.RESOURCE_MAX_COUNT) || undefined,
+    maxBytes: parseInt(process.env.RESOURCE_MAX_BYTES) || undefined,
+    strategy: process.env.RESOURCE_STRATEGY,
+    maxSnapshotRows: parseInt(process.env.RESOURCE_MAX_SNAPSHOT_ROWS) || undefined,
+    dedupe: process.env.RESOURCE_DEDUPE !== 'false'
+});
+
+// Dependencies shared by every request (what tool factories depend on)
+const sharedContext = {
+    // Dual-response dependencies
+    resourceStore,
+    baseUrl: `http://localhost:${PORT}`,
+    logger,
+    metrics
+};
 
 // Context provider function - injects dependencies into tools
 const contextProvider = async (req) => {
+    // Reuse the caller's X-Request-Id so logs correlate across services
+    const requestId = req.get('X-Request-Id') || Date.now().toString(36);
+    // Verified by the authenticate middleware; null when auth is disabled
+    const principal = req.principal || null;
+
     return {
-        requestId: Date.now().toString(36),
+        ...sharedContext,
+        requestId,
         userAgent: req.get('User-Agent'),
-        // Dual-response dependencies
-        resourceStore,
-        debug: DEBUG,
-        baseUrl: `http://localhost:${PORT}`
+        logger: logger.child({ requestId, subject: principal ? principal.subject : undefined }),
+        principal,
+        // Read by tool/resource/prompt visibility rules
+        tenant: principal ? principal.tenant : null,
+        roles: principal ? principal.roles : []
     };
 };
 
-// Create toolboxes
-const systemTools = new Toolbox([datetime, datetime_converter]);
+// Create toolboxes. Tool modules are required here rather than at the top so
+// hot-reload (WATCH_TOOLS) can call this again after purging the require cache.
+function createToolboxes() {
+    const { datetime, datetime_converter } = require('./tools/datetime');
+    const { tips, schema, query } = require('./tools/database');
+    const { queryDualResponse } = require('./tools/database-dual-response');
 
-// Conditionally include query tool based on configuration
-const dbToolFactories = [tips, schema];
-if (USE_DUAL_RESPONSE) {
-    dbToolFactories.push(queryDualResponse);
-    console.log('[Server] Using dual-response query tool');
-} else {
-    dbToolFactories.push(query);
-    console.log('[Server] Using standard query tool');
+    const systemTools = new Toolbox([datetime, datetime_converter]);
+
+    // Conditionally include query tool based on configuration
+    const dbTools = new Toolbox([tips, schema, USE_DUAL_RESPONSE ? queryDualResponse : query]);
+
+    return [systemTools, dbTools];
 }
-const dbTools = new Toolbox(dbToolFactories);
+log.info(`Using ${USE_DUAL_RESPONSE ? 'dual-response' : 'standard'} query tool`);
+
+// Expose dual-response results through MCP resources/read as well as REST
+const resourceProviders = USE_DUAL_RESPONSE
+    ? [new ResourceProvider([queryResultsPage, queryResults])]
+    : [];
+
+// Reusable report prompts
+const reportPrompts = new PromptLibrary([comparePeerInstitutions, programTrendReport]);
 
 // Create MCP server with all toolboxes
 const mcpServer = new MCPServer(
-    [systemTools, dbTools],
+    createToolboxes(),
     {
         name: 'insights-mcp',
-        version: '1.0.0'
+        version: '1.0.0',
+        resources: resourceProviders,
+        prompts: reportPrompts,
+        middleware: DEBUG ? [logToolCalls({ logger })] : [],
+        logger,
+        metrics,
+        // Tool factories only use the shared context and visibility rules only
+        // read tenant and roles, so requests with the same tenant and roles can
+        // reuse cached servers; per-request fields reach handlers via extra.context
+        contextKey: (context) => `${context.tenant || ''}|${[...context.roles].sort().join(',')}`
     }
 );
 
+// Reload tools when tool modules or their markdown docs change; connected
+// sessions receive notifications/tools/list_changed
+if (WATCH_TOOLS) {
+    mcpServer.watchTools(TOOLS_DIR, createToolboxes, {
+        onReload: (files) => log.info('Tool files changed, reloaded', { files })
+    });
+    log.info('Watching for tool changes', { directory: TOOLS_DIR });
+}
+
 // MCP endpoint - handles all MCP protocol requests
-app.post('/mcp', mcpServer.streamingEndpoint(contextProvider));
+if (USE_SESSIONS) {
+    // Stateful mode: POST for messages, GET for the SSE notification stream, DELETE to end a session
+    const endpoint = mcpServer.streamingEndpoint(contextProvider, {
+        stateful: true,
+        sessionIdleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+        // Only the principal that opened a session may use it
+        sessionOwner: (req) => (req.principal ? req.principal.subject : null),
+        corsOrigins: CORS_ORIGINS
+    });
+    app.post('/mcp', authenticate, endpoint);
+    app.get('/mcp', authenticate, endpoint);
+    app.delete('/mcp', authenticate, endpoint);
+} else {
+    app.post('/mcp', authenticate, mcpServer.streamingEndpoint(contextProvider, { corsOrigins: CORS_ORIGINS }));
+}
 
 // REST endpoint for resource retrieval (dual-response pattern)
 if (USE_DUAL_RESPONSE) {
-    app.use('/resources', createResourceRouter(resourceStore, { debug: DEBUG }));
-    console.log('[Server] REST endpoint enabled: /resources/:guid');
+    app.use('/resources', authenticateResources, createResourceRouter(resourceStore, {
+        debug: DEBUG,
+        logger,
+        metrics,
+        shareLinks,
+        baseUrl: sharedContext.baseUrl
+    }));
+    log.info('REST endpoint enabled: /resources/:guid (catalog: /resources/)');
+    if (DEBUG) {
+        // Served at /resources/ before the catalog took that path
+        log.info('Debug resource stats: /resources/stats');
+    }
 }
 
 // CORS preflight for MCP endpoint
-app.options('/mcp', (req, res) => {
-    res.setHeader("Access-Control-Allow-Origin", "*");
-    res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-    res.sendStatus(204);
-});
+app.options('/mcp', corsPreflight(CORS_ORIGINS, {
+    methods: USE_SESSIONS ? 'GET, POST, DELETE, OPTIONS' : 'POST, OPTIONS',
+    headers: 'Content-Type, Authorization, Mcp-Session-Id',
+    expose: 'Mcp-Session-Id'
+}));
 
 // CORS preflight for resources endpoint
-app.options('/resources/*', (req, res) => {
-    res.setHeader("Access-Control-Allow-Origin", "*");
-    res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
-    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-    res.sendStatus(204);
-});
+app.options('/resources/*', corsPreflight(CORS_ORIGINS, {
+    methods: 'GET, POST, PUT, DELETE, OPTIONS',
+    headers: 'Content-Type, Authorization'
+}));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -97,17 +220,40 @@ app.get('/health', (req, res) => {
         status: 'ok',
         timestamp: new Date().toISOString(),
         mode: USE_DUAL_RESPONSE ? 'dual-response' : 'standard',
+        sessions: USE_SESSIONS ? mcpServer.sessionCount : null,
         debug: DEBUG
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log('');
-    console.log(`MCP Server running at http://localhost:${PORT}`);
-    console.log(`MCP endpoint: POST http://localhost:${PORT}/mcp`);
-    if (USE_DUAL_RESPONSE) {
-        console.log(`Resources endpoint: http://localhost:${PORT}/resources/:guid`);
-    }
-    console.log('');
+// Prometheus scrape endpoint. Deliberately unauthenticated, like /health, so
+// scrapers need no token: it exposes counts and latencies (tool names, query
+// kinds, status codes), never SQL, rows or principals. Keep the port off the
+// public internet or put it behind a proxy that restricts /metrics.
+app.get('/metrics', (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Stop background timers and close sessions before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        log.info('Shutting down', { signal });
+        await resourceStore.shutdown();
+        await mcpServer.close();
+        process.exit(0);
+    });
+}
+
+// Start server once every tool, resource and prompt definition checks out
+mcpServer.validate(sharedContext).then((counts) => {
+    log.debug('Validated definitions', counts);
+
+    app.listen(PORT, () => {
+        log.info(`MCP Server running at http://localhost:${PORT}`, {
+            mcpEndpoint: `${USE_SESSIONS ? 'POST/GET/DELETE' : 'POST'} http://localhost:${PORT}/mcp`,
+            resourcesEndpoint: USE_DUAL_RESPONSE ? `http://localhost:${PORT}/resources/:guid` : undefined
+        });
+    });
+}).catch((error) => {
+    log.error('Startup failed', { error: error.message });
+    process.exit(1);
 });
@@ -0,0 +1,50 @@
+/**
+ * LRUCache - Minimal least-recently-used cache
+ *
+ * Relies on Map preserving insertion order: get() re-inserts the entry so
+ * the first key is always the least recently used one.
+ */
+class LRUCache {
+    #entries;
+    #maxSize;
+
+    constructor(maxSize) {
+        this.#entries = new Map();
+        this.#maxSize = Math.max(maxSize || 1, 1);
+    }
+
+    get(key) {
+        if (!this.#entries.has(key)) {
+            return undefined;
+        }
+
+        const value = this.#entries.get(key);
+        this.#entries.delete(key);
+        this.#entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this.#entries.delete(key);
+        this.#entries.set(key, value);
+
+        while (this.#entries.size > this.#maxSize) {
+            const oldest = this.#entries.keys().next().value;
+            this.#entries.delete(oldest);
+        }
+    }
+
+    delete(key) {
+        return this.#entries.delete(key);
+    }
+
+    clear() {
+        this.#entries.clear();
+    }
+
+    get size() {
+        return this.#entries.size;
+    }
+}
+
+module.exports = { LRUCache };
@@ -0,0 +1,81 @@
+/**
+ * CORS - Allow browser calls only from configured origins
+ *
+ * The request's Origin is echoed back when it is on the allow list (with
+ * Vary: Origin, so caches keep responses per origin). Requests from other
+ * origins get no CORS headers at all and the browser blocks them. "*" on the
+ * list allows every origin; an empty list allows none.
+ *
+ *   const origins = corsOriginsFromEnv();
+ *   app.options('/resources/*', corsPreflight(origins, { methods: 'GET, OPTIONS' }));
+ */
+
+/**
+ * Read allowed origins from CORS_ORIGINS (comma separated)
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Array<string>} Allowed origins (empty when unset)
+ */
+function corsOriginsFromEnv(env = process.env) {
+    return (env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Set CORS headers on a response when the request's origin is allowed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array<string>} origins - Allowed origins ("*" for any)
+ * @param {Object} options - Header values
+ * @param {string} options.methods - Access-Control-Allow-Methods
+ * @param {string} options.headers - Access-Control-Allow-Headers
+ * @param {string} options.expose - Access-Control-Expose-Headers
+ * @returns {boolean} Whether the origin was allowed
+ */
+function setCorsHeaders(req, res, origins = [], options = {}) {
+    const origin = req.get('origin');
+
+    let allowed = null;
+    if (origins.includes('*')) {
+        allowed = '*';
+    } else {
+        // The answer depends on the Origin header even when it's refused
+        res.vary('Origin');
+        if (origin && origins.includes(origin)) {
+            allowed = origin;
+        }
+    }
+
+    if (!allowed) {
+        return false;
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', allowed);
+    if (options.methods) {
+        res.setHeader('Access-Control-Allow-Methods', options.methods);
+    }
+    if (options.headers) {
+        res.setHeader('Access-Control-Allow-Headers', options.headers);
+    }
+    if (options.expose) {
+        res.setHeader('Access-Control-Expose-Headers', options.expose);
+    }
+    return true;
+}
+
+/**
+ * Express handler answering CORS preflight (OPTIONS) requests
+ * @param {Array<string>} origins - Allowed origins ("*" for any)
+ * @param {Object} options - Header values (see setCorsHeaders)
+ * @returns {Function} (req, res) => void
+ */
+function corsPreflight(origins, options = {}) {
+    return (req, res) => {
+        setCorsHeaders(req, res, origins, options);
+        res.sendStatus(204);
+    };
+}
+
+module.exports = { corsOriginsFromEnv, setCorsHeaders, corsPreflight };
@@ -0,0 +1,90 @@
+/**
+ * Tool errors - Structured failures returned to the LLM as isError results
+ *
+ * Handlers throw ToolError with a stable code; MCPServer turns any thrown
+ * error into an `isError: true` tool result carrying the code, a readable
+ * message and structured details, so the LLM can correct and retry.
+ */
+
+const ErrorCodes = Object.freeze({
+    VALIDATION_ERROR: 'VALIDATION_ERROR',
+    SQL_ERROR: 'SQL_ERROR',
+    TIMEOUT: 'TIMEOUT',
+    NOT_FOUND: 'NOT_FOUND',
+    UNAVAILABLE: 'UNAVAILABLE',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+// Guidance appended to the message the LLM sees, per error code
+const HINTS = {
+    VALIDATION_ERROR: 'Check the tool input schema and retry with corrected arguments.',
+    SQL_ERROR: 'Check table and column names with the schema(table) tool and retry with corrected SQL.',
+    TIMEOUT: 'Narrow the query with filters or aggregation and retry.',
+    NOT_FOUND: 'Check the name or identifier and retry.',
+    UNAVAILABLE: 'A server component is busy or unreachable; retry the same call shortly.',
+    INTERNAL_ERROR: 'This is a server problem; retrying may not help.'
+};
+
+class ToolError extends Error {
+    /**
+     * @param {string} code - One of ErrorCodes
+     * @param {string} message - Human/LLM readable message
+     * @param {Object} details - Structured, machine-readable details
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'ToolError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Convert any thrown value to a ToolError
+ * @param {*} error - The thrown value
+ * @returns {ToolError}
+ */
+function toToolError(error) {
+    if (error instanceof ToolError) {
+        return error;
+    }
+
+    // zod validation failures
+    if (error && error.name === 'ZodError' && Array.isArray(error.issues)) {
+        return new ToolError(ErrorCodes.VALIDATION_ERROR, 'Invalid tool arguments', {
+            issues: error.issues.map(issue => ({
+                path: (issue.path || []).join('.'),
+                message: issue.message
+            }))
+        });
+    }
+
+    const message = error instanceof Error ? error.message : String(error);
+    return new ToolError(ErrorCodes.INTERNAL_ERROR, message);
+}
+
+/**
+ * Format a ToolError as text for the LLM
+ * @param {ToolError} error - The error
+ * @returns {string}
+ */
+function formatToolError(error) {
+    const lines = [`Error [${error.code}]: ${error.message}`];
+
+    if (error.details && Object.keys(error.details).length > 0) {
+        lines.push('', 'Details:', JSON.stringify(error.details, null, 2));
+    }
+
+    if (HINTS[error.code]) {
+        lines.push('', HINTS[error.code]);
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    ErrorCodes,
+    ToolError,
+    toToolError,
+    formatToolError
+};
@@ -1,7 +1,27 @@
 const MCPServer = require('./server');
 const { Toolbox } = require('./tools');
+const { ResourceProvider } = require('./resources');
+const { PromptLibrary } = require('./prompts');
+const { ToolError, ErrorCodes } = require('./errors');
+const { logToolCalls } = require('./middleware');
+const { createLogger, loggerFrom } = require('./logger');
+const { createMetrics, metricsFrom, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { corsOriginsFromEnv, setCorsHeaders, corsPreflight } = require('./cors');
 
 module.exports = {
     MCPServer,
-    Toolbox
+    Toolbox,
+    ResourceProvider,
+    PromptLibrary,
+    ToolError,
+    ErrorCodes,
+    logToolCalls,
+    createLogger,
+    loggerFrom,
+    createMetrics,
+    metricsFrom,
+    METRICS_CONTENT_TYPE,
+    corsOriginsFromEnv,
+    setCorsHeaders,
+    corsPreflight
 };
@@ -0,0 +1,176 @@
+/**
+ * Logger - Leveled, namespaced, structured logging
+ *
+ * One root logger is created at startup and injected everywhere else: passed
+ * to MCPServer, ResourceStore and the REST router, and placed in the context
+ * (bound to the request's `requestId`) so tools and middleware log with the
+ * correlation ID of the call they serve.
+ *
+ *   const logger = createLogger({ level: 'debug', format: 'json' });
+ *   const log = logger.child('ResourceStore');          // component namespace
+ *   log.child({ requestId }).info('Created resource', { guid, sql });
+ *
+ * Text output:  2025-01-01T00:00:00.000Z INFO  [ResourceStore] Created resource guid=... sql="..."
+ * JSON output:  {"time":"...","level":"info","component":"ResourceStore","msg":"Created resource",...}
+ *
+ * Fields whose name ends in "sql" (sql, countSql, ...) have their string and
+ * numeric literals replaced with ? unless `redactSql` is false, so values users
+ * searched for don't end up in shipped logs.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const SQL_FIELD = /sql$/i;
+const SQL_STRING_LITERAL = /'(?:[^']|'')*'/g;
+const SQL_NUMERIC_LITERAL = /\b\d+(?:\.\d+)?\b/g;
+
+/**
+ * Replace string and numeric literals in SQL with ?
+ * @param {string} sql - SQL text
+ * @returns {string} SQL with literals redacted
+ */
+function redactSql(sql) {
+    return String(sql)
+        .replace(SQL_STRING_LITERAL, '?')
+        .replace(SQL_NUMERIC_LITERAL, '?');
+}
+
+function serializeValue(key, value, redact) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, code: value.code };
+    }
+    if (redact && typeof value === 'string' && SQL_FIELD.test(key)) {
+        return redactSql(value);
+    }
+    return value;
+}
+
+function formatText(value) {
+    if (typeof value === 'string') {
+        return /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+    }
+    return JSON.stringify(value);
+}
+
+class Logger {
+    #level;
+    #format;
+    #stream;
+    #redactSql;
+    #bindings;
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.level - debug | info | warn | error | silent (default: info)
+     * @param {string} options.format - text | json (default: text)
+     * @param {Object} options.stream - Writable stream (default: process.stderr, so logs
+     *   never mix with a stdio transport's JSON-RPC on stdout)
+     * @param {boolean} options.redactSql - Redact literals in *sql fields (default: true)
+     * @param {Object} options.bindings - Fields added to every entry
+     */
+    constructor(options = {}) {
+        this.#level = options.level in LEVELS ? options.level : 'info';
+        this.#format = options.format === 'json' ? 'json' : 'text';
+        this.#stream = options.stream || process.stderr;
+        this.#redactSql = options.redactSql !== false;
+        this.#bindings = options.bindings || {};
+    }
+
+    /**
+     * Create a logger that adds fields to every entry
+     * @param {string|Object} bindings - Component name, or fields such as { requestId }
+     * @returns {Logger}
+     */
+    child(bindings) {
+        const added = typeof bindings === 'string' ? { component: bindings } : bindings;
+
+        return new Logger({
+            level: this.#level,
+            format: this.#format,
+            stream: this.#stream,
+            redactSql: this.#redactSql,
+            bindings: { ...this.#bindings, ...added }
+        });
+    }
+
+    /**
+     * Check whether entries at a level would be written
+     * @param {string} level - Level name
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.#level];
+    }
+
+    debug(message, fields) {
+        this.#write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.#write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.#write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.#write('error', message, fields);
+    }
+
+    #write(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const { component, ...rest } = { ...this.#bindings, ...fields };
+        const data = {};
+        for (const [key, value] of Object.entries(rest)) {
+            if (value !== undefined) {
+                data[key] = serializeValue(key, value, this.#redactSql);
+            }
+        }
+
+        const time = new Date().toISOString();
+        let line;
+        if (this.#format === 'json') {
+            line = JSON.stringify({ time, level, component, msg: message, ...data });
+        } else {
+            const pairs = Object.entries(data).map(([key, value]) => `${key}=${formatText(value)}`);
+            line = [time, level.toUpperCase().padEnd(5), component ? `[${component}]` : null, message, ...pairs]
+                .filter(part => part !== null)
+                .join(' ');
+        }
+
+        this.#stream.write(line + '\n');
+    }
+}
+
+/**
+ * Create a root logger
+ * @param {Object} options - See Logger constructor
+ * @returns {Logger}
+ */
+function createLogger(options = {}) {
+    return new Logger(options);
+}
+
+// Used when nothing injected a logger (writes to stderr, like every default logger)
+let defaultLogger = null;
+
+/**
+ * Get a component logger from anything that may carry one (a context, an options object)
+ * @param {Object} holder - Object with an optional `logger`
+ * @param {string} component - Component namespace
+ * @returns {Logger}
+ */
+function loggerFrom(holder, component) {
+    let logger = holder && holder.logger;
+    if (!logger) {
+        defaultLogger = defaultLogger || createLogger();
+        logger = defaultLogger;
+    }
+    return component ? logger.child(component) : logger;
+}
+
+module.exports = { Logger, createLogger, loggerFrom, redactSql, LEVELS };
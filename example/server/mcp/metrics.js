@@ -0,0 +1,242 @@
+/**
+ * Metrics - Counters, gauges and histograms in the Prometheus text format
+ *
+ * One registry is created at startup and injected like the logger: passed to
+ * MCPServer, ResourceStore and the REST router, and placed in the context so
+ * tools and resources can record what they do. Metrics are declared where
+ * they are recorded; declaring the same name again returns the existing one.
+ *
+ *   const metrics = createMetrics();
+ *   metrics.counter('rest_requests_total', 'REST requests', ['method', 'status'])
+ *       .inc({ method: 'GET', status: 200 });
+ *   app.get('/metrics', (req, res) => res.type(CONTENT_TYPE).send(metrics.render()));
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; SQL over a second is already worth alerting on
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+    const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+    if (extra) {
+        pairs.push(extra);
+    }
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Series are keyed by label values in labelNames order
+    labelValues(labels = {}) {
+        return this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    }
+
+    seriesFor(labels, create) {
+        const values = this.labelValues(labels);
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, { values, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    lines() {
+        return Array.from(this.series.values())
+            .map(s => `${this.name}${formatLabels(this.labelNames, s.values)} ${s.value}`);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect || null;
+    }
+
+    set(labels = {}, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    lines() {
+        if (this.collect) {
+            this.collect(this);
+        }
+        return Array.from(this.series.values())
+            .map(s => `${this.name}${formatLabels(this.labelNames, s.values)} ${s.value}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...(buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.seriesFor(labels, () => ({
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0
+        }));
+
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) {
+            series.counts[index]++;
+        }
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start timing; call the returned function to observe the elapsed seconds
+     * @param {Object} labels - Label values
+     * @returns {Function} () => seconds
+     */
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe(labels, seconds);
+            return seconds;
+        };
+    }
+
+    lines() {
+        const lines = [];
+        for (const s of this.series.values()) {
+            let cumulative = 0;
+            this.buckets.forEach((bound, i) => {
+                cumulative += s.counts[i];
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, s.values, `le="${bound}"`)} ${cumulative}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, s.values)} ${s.sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, s.values)} ${s.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    #metrics;
+
+    constructor() {
+        this.#metrics = new Map();
+    }
+
+    #getOrCreate(MetricClass, name, create) {
+        const existing = this.#metrics.get(name);
+        if (existing) {
+            if (!(existing instanceof MetricClass)) {
+                throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+            }
+            return existing;
+        }
+
+        const metric = create();
+        this.#metrics.set(name, metric);
+        return metric;
+    }
+
+    /**
+     * Get or declare a counter
+     * @param {string} name - Metric name (snake_case, ending in _total)
+     * @param {string} help - Description
+     * @param {Array<string>} labelNames - Label names
+     * @returns {Counter}
+     */
+    counter(name, help, labelNames = []) {
+        return this.#getOrCreate(Counter, name, () => new Counter(name, help, labelNames));
+    }
+
+    /**
+     * Get or declare a gauge
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Array<string>} labelNames - Label names
+     * @param {Function} collect - Optional (gauge) => void, called before each render
+     * @returns {Gauge}
+     */
+    gauge(name, help, labelNames = [], collect) {
+        return this.#getOrCreate(Gauge, name, () => new Gauge(name, help, labelNames, collect));
+    }
+
+    /**
+     * Get or declare a histogram
+     * @param {string} name - Metric name (with a unit suffix, e.g. _seconds)
+     * @param {string} help - Description
+     * @param {Array<string>} labelNames - Label names
+     * @param {Array<number>} buckets - Upper bounds (default: latency buckets in seconds)
+     * @returns {Histogram}
+     */
+    histogram(name, help, labelNames = [], buckets) {
+        return this.#getOrCreate(Histogram, name, () => new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.#metrics.values()) {
+            lines.push(...metric.header(), ...metric.lines());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Create a metrics registry
+ * @returns {MetricsRegistry}
+ */
+function createMetrics() {
+    return new MetricsRegistry();
+}
+
+// Used when nothing injected a registry; recorded values are simply never rendered
+let defaultMetrics = null;
+
+/**
+ * Get the metrics registry from anything that may carry one (a context, an options object)
+ * @param {Object} holder - Object with an optional `metrics`
+ * @returns {MetricsRegistry}
+ */
+function metricsFrom(holder) {
+    if (holder && holder.metrics) {
+        return holder.metrics;
+    }
+    defaultMetrics = defaultMetrics || createMetrics();
+    return defaultMetrics;
+}
+
+module.exports = { MetricsRegistry, createMetrics, metricsFrom, CONTENT_TYPE };
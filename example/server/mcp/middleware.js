@@ -0,0 +1,93 @@
+const { loggerFrom } = require('./logger');
+
+/**
+ * Tool middleware - Cross-cutting hooks around tool handlers
+ *
+ * A middleware is either a function `(call, next) => result` or an object
+ * with any of these optional hooks:
+ *
+ *   before(call)          - Runs before the handler. May rewrite `call.args`.
+ *                           Returning a value other than undefined short-circuits
+ *                           and uses it as the tool result.
+ *   around(call, next)    - Wraps the rest of the chain. Call `next()` to continue,
+ *                           or return a result without calling it.
+ *   after(call, result)   - Runs after the handler. Returning a value other than
+ *                           undefined replaces the result.
+ *
+ * `call` is { tool, context, args, extra }: the tool definition, the context from
+ * the context provider, the validated arguments, and the per-call extras passed
+ * to the handler (e.g. the abort `signal`). Middleware run in the order given;
+ * errors thrown by the handler propagate through them.
+ */
+
+/**
+ * Run a handler through an ordered list of middleware
+ * @param {Array} middleware - Middleware functions or hook objects
+ * @param {Object} call - { tool, context, args, extra }
+ * @param {Function} handler - async (args, extra) => result
+ * @returns {Promise<*>} The (possibly rewritten) result
+ */
+async function runMiddleware(middleware, call, handler) {
+    const dispatch = async (index) => {
+        if (index >= middleware.length) {
+            return handler(call.args, call.extra || {});
+        }
+
+        const mw = middleware[index];
+        const next = () => dispatch(index + 1);
+
+        if (typeof mw === 'function') {
+            return mw(call, next);
+        }
+
+        if (mw.before) {
+            const early = await mw.before(call);
+            if (early !== undefined) {
+                return early;
+            }
+        }
+
+        let result = mw.around
+            ? await mw.around(call, next)
+            : await next();
+
+        if (mw.after) {
+            const replaced = await mw.after(call, result);
+            if (replaced !== undefined) {
+                result = replaced;
+            }
+        }
+
+        return result;
+    };
+
+    return dispatch(0);
+}
+
+/**
+ * Example middleware: log each tool call with its duration and outcome
+ *
+ * Logs through the context's logger (bound to the request ID) when there is
+ * one, otherwise through `options.logger`.
+ *
+ * @param {Object} options - Options
+ * @param {Logger} options.logger - Fallback logger (see mcp/logger)
+ */
+function logToolCalls(options = {}) {
+    return {
+        around: async (call, next) => {
+            const log = loggerFrom(call.context && call.context.logger ? call.context : options, 'tool');
+            const started = Date.now();
+            try {
+                const result = await next();
+                log.info('Tool call completed', { tool: call.tool.name, durationMs: Date.now() - started });
+                return result;
+            } catch (error) {
+                log.warn('Tool call failed', { tool: call.tool.name, durationMs: Date.now() - started, error });
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = { runMiddleware, logToolCalls };
@@ -0,0 +1,40 @@
+const { isVisible } = require('./visibility');
+
+/**
+ * PromptLibrary - A container for MCP prompts
+ *
+ * Works like Toolbox: prompts are factory functions (optionally async, returning
+ * null when unavailable, with optional `visibility` rules) that accept a context
+ * and return a prompt definition with a `name`, `description`, zod `schema`
+ * for its arguments, and a `handler(args)` that returns either a string
+ * (sent as a single user message) or an array of MCP prompt messages.
+ */
+class PromptLibrary {
+    #prompts;
+
+    constructor(prompts) {
+        if (Array.isArray(prompts)) {
+            this.#prompts = prompts;
+        } else if (prompts) {
+            this.#prompts = [prompts];
+        } else {
+            this.#prompts = [];
+        }
+    }
+
+    /**
+     * Load all prompts with the given context
+     * @param {Object} context - Context object passed to each prompt factory
+     * @param {Object} options - Load options
+     * @param {boolean} options.all - Keep prompts the visibility rules hide (for validation)
+     * @returns {Array} Array of available prompts
+     */
+    async load(context, options = {}) {
+        const prompts = await Promise.all(
+            this.#prompts.map((promptFactory) => promptFactory(context))
+        );
+        return prompts.filter((prompt) => prompt && (options.all || isVisible(prompt.visibility, context)));
+    }
+}
+
+module.exports = { PromptLibrary };
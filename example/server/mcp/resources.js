@@ -0,0 +1,43 @@
+const { isVisible } = require('./visibility');
+
+/**
+ * ResourceProvider - A container for MCP resources
+ *
+ * Works like Toolbox: resources are factory functions (optionally async, returning
+ * null when unavailable, with optional `visibility` rules) that accept a context
+ * and return a resource definition. A definition declares either a fixed
+ * `uri` or a `uriTemplate` (e.g. 'resource://{guid}'), optional `list`
+ * callback for resources/list, and a `handler(uri, variables)` that returns
+ * the resource body (string, or an object serialized as JSON). Both `list` and
+ * `handler` receive a last `extra` argument whose `context` is the context of
+ * the request being served.
+ */
+class ResourceProvider {
+    #resources;
+
+    constructor(resources) {
+        if (Array.isArray(resources)) {
+            this.#resources = resources;
+        } else if (resources) {
+            this.#resources = [resources];
+        } else {
+            this.#resources = [];
+        }
+    }
+
+    /**
+     * Load all resources with the given context
+     * @param {Object} context - Context object passed to each resource factory
+     * @param {Object} options - Load options
+     * @param {boolean} options.all - Keep resources the visibility rules hide (for validation)
+     * @returns {Array} Array of available resource definitions
+     */
+    async load(context, options = {}) {
+        const resources = await Promise.all(
+            this.#resources.map((resourceFactory) => resourceFactory(context))
+        );
+        return resources.filter((resource) => resource && (options.all || isVisible(resource.visibility, context)));
+    }
+}
+
+module.exports = { ResourceProvider };
@@ -1,26 +1,248 @@
 const assert = require('assert');
+const crypto = require('crypto');
 const { z } = require('zod');
+const { ToolError, ErrorCodes, toToolError, formatToolError } = require('./errors');
+const { runMiddleware } = require('./middleware');
+const { LRUCache } = require('./cache');
+const { validateDefinitions } = require('./validate');
+const { watchModules } = require('./watch');
+const { loggerFrom } = require('./logger');
+const { metricsFrom } = require('./metrics');
+const { setCorsHeaders } = require('./cors');
+
+const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_SERVER_CACHE_SIZE = 50;
+// Idle servers kept per context key; concurrent requests each need their own
+const MAX_IDLE_SERVERS_PER_KEY = 4;
+
+// SDK modules are ESM; import them once and share the promise
+let sdkModules = null;
+function loadSdk() {
+    if (!sdkModules) {
+        sdkModules = Promise.all([
+            import("@modelcontextprotocol/sdk/server/mcp.js"),
+            import("@modelcontextprotocol/sdk/server/streamableHttp.js"),
+            import("@modelcontextprotocol/sdk/types.js"),
+        ]).then(([mcp, streamableHttp, types]) => ({
+            McpServer: mcp.McpServer,
+            ResourceTemplate: mcp.ResourceTemplate,
+            StreamableHTTPServerTransport: streamableHttp.StreamableHTTPServerTransport,
+            isInitializeRequest: types.isInitializeRequest,
+            CallToolRequestSchema: types.CallToolRequestSchema,
+        }));
+    }
+    return sdkModules;
+}
+
+/**
+ * Build an isError tool result from a ToolError
+ *
+ * The structured error always goes in _meta. It is also sent as
+ * structuredContent (the shape described in the series) unless the tool
+ * declares an outputSchema: SDK clients validate structuredContent against
+ * that schema even on errors, so the error object would be rejected.
+ *
+ * @param {ToolError} error - The error
+ * @param {Object} tool - The tool definition, if known
+ */
+function toolErrorResult(error, tool) {
+    const payload = {
+        error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+        }
+    };
+
+    const result = {
+        isError: true,
+        content: [{
+            type: "text",
+            text: formatToolError(error),
+        }],
+        _meta: payload
+    };
+
+    if (!tool || !tool.outputSchema) {
+        result.structuredContent = payload;
+    }
+
+    return result;
+}
+
+/**
+ * Build the reportProgress helper handed to tool handlers
+ */
+function progressReporter(requestExtra) {
+    const progressToken = requestExtra._meta ? requestExtra._meta.progressToken : undefined;
+
+    return async (done, total, message) => {
+        if (progressToken === undefined || !requestExtra.sendNotification) {
+            return;
+        }
+
+        try {
+            await requestExtra.sendNotification({
+                method: 'notifications/progress',
+                params: { progressToken, progress: done, total, message }
+            });
+        } catch (error) {
+            // Progress is best-effort; a closed stream must not fail the tool
+        }
+    };
+}
+
+/**
+ * True if the JSON-RPC body asks for progress notifications
+ */
+function requestsProgress(body) {
+    const messages = Array.isArray(body) ? body : [body];
+    return messages.some(m => m && m.params && m.params._meta && m.params._meta.progressToken !== undefined);
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal aborts so a handler
+ * that ignores its signal still can't hold the request open
+ */
+function raceAbort(signal, promise) {
+    if (signal.aborted) {
+        return Promise.reject(abortReason(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortReason(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * The ToolError for an aborted signal (timeout reason, or a client cancellation)
+ */
+function abortReason(signal) {
+    return signal.reason instanceof ToolError
+        ? signal.reason
+        : new ToolError(ErrorCodes.TIMEOUT, 'Tool call was cancelled', { cancelled: true });
+}
+
+/**
+ * Build the registerTool config from a tool definition
+ *
+ * Optional fields are only passed when the tool declares them, so tools can
+ * adopt a title, annotations, an outputSchema or a version independently.
+ */
+function toolMetadata(tool) {
+    const metadata = {
+        title: tool.title || tool.name,
+        description: tool.description,
+        inputSchema: tool.schema,
+    };
+
+    if (tool.annotations) {
+        // readOnlyHint, destructiveHint, idempotentHint, openWorldHint
+        metadata.annotations = { title: metadata.title, ...tool.annotations };
+    }
+
+    if (tool.outputSchema) {
+        metadata.outputSchema = tool.outputSchema;
+    }
+
+    if (tool.version) {
+        metadata._meta = { version: tool.version };
+    }
+
+    return metadata;
+}
+
+/**
+ * Normalize a loader option (single object with load(), array, or nothing) to an array
+ */
+function toLoaderArray(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (value && typeof value.load === 'function') {
+        return [value];
+    }
+    return [];
+}
 
 class MCPServer {
     #server_name;
     #server_version;
     #ToolBoxes;
+    #ResourceProviders;
+    #PromptLibraries;
+    #middleware;
+    #toolTimeout;
+    #logger;
+    #toolMetrics;
+    #contextKey;
+    #serverCache;
+    #sessions;
+    #evictionTimer;
+    #stdioSession;
 
     constructor(toolboxes, options = {}) {
         this.#server_name = options.name || process.env.MCP_SERVER_NAME || 'mcp-server';
         this.#server_version = options.version || process.env.MCP_SERVER_VERSION || '1.0.0';
 
+        // Copied so toolboxes can be added and removed at runtime
         if (Array.isArray(toolboxes)) {
-            this.#ToolBoxes = toolboxes;
+            this.#ToolBoxes = [...toolboxes];
         } else if (toolboxes && typeof toolboxes.load === 'function') {
             this.#ToolBoxes = [toolboxes];
         } else {
             this.#ToolBoxes = [];
         }
+
+        // Resource providers and prompt libraries are optional and registered next to toolboxes
+        this.#ResourceProviders = toLoaderArray(options.resources);
+        this.#PromptLibraries = toLoaderArray(options.prompts);
+
+        // Server-wide tool middleware, run outside any toolbox middleware
+        this.#middleware = Array.isArray(options.middleware) ? [...options.middleware] : [];
+
+        // Default timeout (ms) for tools that don't declare their own `timeout`
+        this.#toolTimeout = options.toolTimeout || null;
+
+        // Root logger (see mcp/logger); request contexts carry their own child loggers
+        this.#logger = loggerFrom(options, 'MCPServer');
+
+        // Tool call metrics (see mcp/metrics); result bytes are what reaches the LLM
+        const metrics = metricsFrom(options);
+        this.#toolMetrics = {
+            calls: metrics.counter('mcp_tool_calls_total', 'Tool calls by tool and outcome (ok or error code)', ['tool', 'outcome']),
+            duration: metrics.histogram('mcp_tool_call_duration_seconds', 'Tool call latency', ['tool']),
+            resultBytes: metrics.counter('mcp_tool_result_bytes_total', 'Bytes of tool results returned to the client', ['tool'])
+        };
+
+        // Optional server cache: requests whose context maps to the same key reuse
+        // built servers (tool factories, schemas and registrations) instead of
+        // rebuilding them. Only set contextKey if factories depend on nothing else.
+        this.#contextKey = typeof options.contextKey === 'function' ? options.contextKey : null;
+        this.#serverCache = this.#contextKey
+            ? new LRUCache(options.serverCacheSize || DEFAULT_SERVER_CACHE_SIZE)
+            : null;
+
+        // Active sessions for stateful mode, keyed by Mcp-Session-Id
+        this.#sessions = new Map();
+        this.#evictionTimer = null;
+
+        // The stdio server, once runStdio() has started
+        this.#stdioSession = null;
     }
 
-    async #buildServer(context, config) {
-        const { McpServer } = await import("@modelcontextprotocol/sdk/server/mcp.js");
+    /**
+     * Builds an McpServer with every tool, resource and prompt registered.
+     *
+     * Factories run once with `context`. `binding` is the server's mutable state:
+     * tool calls read the request context from `binding.context`, so a cached
+     * server can be rebound to each new request, and `binding.tools` holds the
+     * registered tools so they can be swapped when the toolboxes change.
+     */
+    async #buildServer(context, config, binding = { context }) {
+        const { McpServer, ResourceTemplate } = await loadSdk();
 
         // Load all tools from toolboxes with the provided context
         const toolArrays = await Promise.all(
@@ -31,40 +253,90 @@ class MCPServer {
         const server = new McpServer({
             name: config.server_name,
             version: config.server_version,
+        }, {
+            // The SDK notifies on every tool registered or removed. A reload swaps
+            // them all in one synchronous pass, so coalescing notifications sent
+            // in the same tick leaves one tools/list_changed per reload
+            debouncedNotificationMethods: ['notifications/tools/list_changed']
         });
 
-        // Register each tool with the MCP server
-        for (const tool of tools) {
-            server.registerTool(
-                tool.name,
+        binding.tools = new Map();
+        this.#registerTools(server, tools, binding);
+        await this.#routeToolCalls(server, binding);
+
+        // Load and register resources from resource providers
+        const resourceArrays = await Promise.all(
+            config.ResourceProviders.map(provider => provider.load(context))
+        );
+        const resources = resourceArrays.flat();
+
+        for (const resource of resources) {
+            const metadata = {
+                title: resource.title || resource.name,
+                description: resource.description,
+                mimeType: resource.mimeType,
+            };
+
+            // Handlers get the request's context like tool handlers do, e.g. to
+            // check the caller's principal on a server built for another request,
+            // and its signal, aborted when the client cancels the read
+            const read = async (uri, variables = {}, extra = {}) => {
+                const body = await resource.handler(uri, variables, { context: binding.context, signal: extra.signal });
+
+                // Build text content - stringify if object, otherwise use as-is
+                const text = typeof body === 'string'
+                    ? body
+                    : JSON.stringify(body, null, 2);
+
+                return {
+                    contents: [{
+                        uri: uri.href,
+                        mimeType: resource.mimeType || 'text/plain',
+                        text,
+                    }]
+                };
+            };
+
+            if (resource.uriTemplate) {
+                const template = new ResourceTemplate(resource.uriTemplate, {
+                    list: resource.list
+                        ? async () => ({ resources: await resource.list({ context: binding.context }) })
+                        : undefined
+                });
+                server.registerResource(resource.name, template, metadata,
+                    (uri, variables, extra) => read(uri, variables, extra));
+            } else {
+                server.registerResource(resource.name, resource.uri, metadata,
+                    (uri, extra) => read(uri, {}, extra));
+            }
+        }
+
+        // Load and register prompts from prompt libraries
+        const promptArrays = await Promise.all(
+            config.PromptLibraries.map(library => library.load(context))
+        );
+        const prompts = promptArrays.flat();
+
+        for (const prompt of prompts) {
+            server.registerPrompt(
+                prompt.name,
                 {
-                    title: tool.name,
-                    description: tool.description,
-                    inputSchema: tool.schema,
+                    title: prompt.title || prompt.name,
+                    description: prompt.description,
+                    argsSchema: prompt.schema,
                 },
                 async (args) => {
-                    const inputSchema = z.object(tool.schema);
-                    const validatedInput = inputSchema.parse(args);
-                    const results = await tool.handler(validatedInput);
-
-                    // Build text content - stringify if object, otherwise use as-is
-                    const textContent = typeof results === 'string'
-                        ? results
-                        : JSON.stringify(results, null, 2);
-
-                    const response = {
-                        content: [{
-                            type: "text",
-                            text: textContent,
-                        }]
-                    };
+                    const result = await prompt.handler(args || {});
 
-                    // Only include structuredContent if there's an outputSchema
-                    if (tool.outputSchema) {
-                        response.structuredContent = z.object(tool.outputSchema).parse(results);
-                    }
+                    // A string becomes a single user message, arrays are passed through as messages
+                    const messages = typeof result === 'string'
+                        ? [{ role: 'user', content: { type: 'text', text: result } }]
+                        : result;
 
-                    return response;
+                    return {
+                        description: prompt.description,
+                        messages
+                    };
                 }
             );
         }
@@ -72,8 +344,347 @@ class MCPServer {
         return server;
     }
 
+    /**
+     * Registers tools on a built server, replacing any registered before.
+     */
+    #registerTools(server, tools, binding) {
+        for (const { handle } of binding.tools.values()) {
+            handle.remove();
+        }
+        binding.tools.clear();
+
+        for (const tool of tools) {
+            // Compile zod objects once per build, not per call
+            const schemas = {
+                input: z.object(tool.schema || {}),
+                output: tool.outputSchema ? z.object(tool.outputSchema) : null
+            };
+
+            const run = async (args, extra) => {
+                const started = Date.now();
+                let outcome = 'ok';
+                let result;
+                try {
+                    result = await this.#callTool(tool, schemas, args, binding.context, extra);
+                } catch (error) {
+                    const toolError = toToolError(error);
+                    outcome = toolError.code;
+                    result = toolErrorResult(toolError, tool);
+                }
+                this.#recordToolCall(tool.name, outcome, (Date.now() - started) / 1000, result);
+                return result;
+            };
+            const handle = server.registerTool(tool.name, toolMetadata(tool), run);
+            binding.tools.set(tool.name, { tool, handle, run });
+        }
+    }
+
+    /**
+     * Answers tools/call with the registered tools' callbacks.
+     *
+     * registerTool() still lists the tools, but the SDK's own tools/call handler
+     * checks arguments against the input schema before the callback runs and
+     * reports that, or an unknown tool, as plain text. Routed straight to the
+     * callbacks, every failure goes through #callTool and comes back structured.
+     */
+    async #routeToolCalls(server, binding) {
+        // The SDK sets up its tool handlers on the first registerTool(); replacing
+        // tools/call before that would make it throw
+        if (binding.routesCalls || binding.tools.size === 0) {
+            return;
+        }
+
+        const { CallToolRequestSchema } = await loadSdk();
+        server.server.setRequestHandler(CallToolRequestSchema, async ({ params }, extra) => {
+            const registered = binding.tools.get(params.name);
+            if (registered) {
+                return registered.run(params.arguments || {}, extra);
+            }
+
+            const result = toolErrorResult(new ToolError(ErrorCodes.NOT_FOUND, `Tool ${params.name} not found`));
+            this.#recordToolCall('unknown', ErrorCodes.NOT_FOUND, 0, result);
+            return result;
+        });
+        binding.routesCalls = true;
+    }
+
+    #recordToolCall(name, outcome, seconds, result) {
+        this.#toolMetrics.calls.inc({ tool: name, outcome });
+        this.#toolMetrics.duration.observe({ tool: name }, seconds);
+        this.#toolMetrics.resultBytes.inc({ tool: name }, Buffer.byteLength(JSON.stringify(result)));
+    }
+
+    /**
+     * Add a toolbox at runtime. Connected sessions get the new tools and a
+     * tools/list_changed notification.
+     * @param {Toolbox} toolbox - Toolbox to add
+     * @returns {Promise<void>} Resolves once live servers are updated
+     */
+    addToolbox(toolbox) {
+        this.#ToolBoxes.push(toolbox);
+        return this.#toolsChanged();
+    }
+
+    /**
+     * Remove a toolbox at runtime. Connected sessions are notified.
+     * @param {Toolbox} toolbox - Toolbox previously passed in or added
+     * @returns {Promise<boolean>} false if the toolbox wasn't registered
+     */
+    async removeToolbox(toolbox) {
+        const index = this.#ToolBoxes.indexOf(toolbox);
+        if (index === -1) {
+            return false;
+        }
+
+        this.#ToolBoxes.splice(index, 1);
+        await this.#toolsChanged();
+        return true;
+    }
+
+    /**
+     * Replace every toolbox at runtime (e.g. after reloading tool modules).
+     * @param {Array<Toolbox>} toolboxes - The new toolboxes
+     * @returns {Promise<void>} Resolves once live servers are updated
+     */
+    setToolboxes(toolboxes) {
+        // Mutated in place: endpoint configs hold a reference to this array
+        this.#ToolBoxes.splice(0, this.#ToolBoxes.length, ...toolboxes);
+        return this.#toolsChanged();
+    }
+
+    /**
+     * Watch a directory of tool modules (and the markdown they read) and swap in
+     * freshly loaded toolboxes whenever a file changes. Modules under the
+     * directory are dropped from the require cache before `loadToolboxes` runs.
+     *
+     * @param {string} directory - Directory to watch, e.g. path.join(__dirname, 'tools')
+     * @param {Function} loadToolboxes - (async) () => Array<Toolbox>, requiring modules inside
+     * @param {Object} options - Options passed to watchModules ({ debounceMs, extensions, logger, onReload })
+     * @returns {Object} Watcher with close()
+     */
+    watchTools(directory, loadToolboxes, options = {}) {
+        return watchModules(directory, async (changed) => {
+            await this.setToolboxes(await loadToolboxes());
+            if (options.onReload) {
+                options.onReload(changed);
+            }
+        }, { logger: this.#logger, ...options });
+    }
+
+    /**
+     * Reloads tools on every long-lived server (sessions and stdio) and drops
+     * cached stateless servers so the next request builds with the new set.
+     */
+    async #toolsChanged() {
+        if (this.#serverCache) {
+            this.#serverCache.clear();
+        }
+
+        const live = Array.from(this.#sessions.values());
+        if (this.#stdioSession) {
+            live.push(this.#stdioSession);
+        }
+
+        await Promise.all(live.map(async (session) => {
+            try {
+                await this.#reloadTools(session);
+            } catch (error) {
+                this.#logger.error('Tool reload failed', { error });
+            }
+        }));
+    }
+
+    /**
+     * Loads the current toolboxes for a live server's context and swaps its tools.
+     * Invalid definitions leave the server's current tools in place.
+     */
+    async #reloadTools({ server, context, binding }) {
+        const toolArrays = await Promise.all(
+            this.#ToolBoxes.map(tbx => tbx.load(context))
+        );
+        const tools = toolArrays.flat();
+
+        const problems = validateDefinitions({ tools });
+        if (problems.length > 0) {
+            throw new Error(`Invalid tool definitions, keeping previous tools:\n  - ${problems.join('\n  - ')}`);
+        }
+
+        this.#registerTools(server, tools, binding);
+        await this.#routeToolCalls(server, binding);
+    }
+
+    /**
+     * Append server-wide tool middleware (applies to every toolbox)
+     * @param {Function|Object} middleware - Middleware function or hook object
+     * @returns {MCPServer} this, for chaining
+     */
+    use(middleware) {
+        this.#middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Validates input, runs the tool handler through middleware and shapes the MCP result.
+     * Throws on failure; the caller converts errors to isError results.
+     *
+     * Handlers receive `(args, extra)`, where `extra.signal` aborts when the tool's
+     * timeout elapses or the client cancels the request, and `extra.deadline` is the
+     * timeout as an epoch-ms timestamp (null without a timeout) for synchronous work
+     * that cannot observe the signal. `extra.reportProgress(done, total, message)`
+     * sends notifications/progress when the caller supplied a progressToken, and
+     * is a no-op otherwise. `extra.sessionId` is the MCP session the call arrived
+     * on (null over stdio and stateless HTTP).
+     */
+    async #callTool(tool, schemas, args, context, requestExtra = {}) {
+        const parsed = schemas.input.safeParse(args);
+        if (!parsed.success) {
+            throw toToolError(parsed.error);
+        }
+
+        const timeout = tool.timeout || this.#toolTimeout;
+        const controller = new AbortController();
+        const timer = timeout
+            ? setTimeout(() => controller.abort(new ToolError(
+                ErrorCodes.TIMEOUT,
+                `Tool ${tool.name} exceeded its ${timeout}ms timeout`,
+                { timeout_ms: timeout }
+            )), timeout)
+            : null;
+
+        // Abort on timeout or on client cancellation (notifications/cancelled)
+        const signal = requestExtra.signal
+            ? AbortSignal.any([controller.signal, requestExtra.signal])
+            : controller.signal;
+
+        const extra = {
+            context,
+            signal,
+            deadline: timeout ? Date.now() + timeout : null,
+            sessionId: requestExtra.sessionId || null,
+            reportProgress: progressReporter(requestExtra)
+        };
+
+        let results;
+        try {
+            results = await raceAbort(signal, runMiddleware(
+                this.#middleware,
+                { tool, context, args: parsed.data, extra },
+                tool.handler
+            ));
+        } finally {
+            clearTimeout(timer);
+        }
+
+        // Build text content - stringify if object, otherwise use as-is
+        const textContent = typeof results === 'string'
+            ? results
+            : JSON.stringify(results, null, 2);
+
+        const response = {
+            content: [{
+                type: "text",
+                text: textContent,
+            }]
+        };
+
+        // Only include structuredContent if there's an outputSchema
+        if (schemas.output) {
+            const output = schemas.output.safeParse(results);
+            if (!output.success) {
+                throw new ToolError(
+                    ErrorCodes.INTERNAL_ERROR,
+                    `Tool ${tool.name} returned output that does not match its output schema`,
+                    { issues: toToolError(output.error).details.issues }
+                );
+            }
+            response.structuredContent = output.data;
+        }
+
+        return response;
+    }
+
+    /**
+     * Returns a built server for the context and a release() to call once it is closed.
+     *
+     * Without a contextKey every call builds a new server. With one, idle servers
+     * built for the same key are reused (rebound to this request's context), and
+     * released servers go back to a per-key pool held in an LRU cache.
+     */
+    async #acquireServer(context) {
+        const config = {
+            server_name: this.#server_name,
+            server_version: this.#server_version,
+            ToolBoxes: this.#ToolBoxes,
+            ResourceProviders: this.#ResourceProviders,
+            PromptLibraries: this.#PromptLibraries
+        };
+
+        if (!this.#serverCache) {
+            const server = await this.#buildServer(context, config);
+            return { server, release: () => {} };
+        }
+
+        const key = String(this.#contextKey(context));
+        let pool = this.#serverCache.get(key);
+        if (!pool) {
+            pool = [];
+            this.#serverCache.set(key, pool);
+        }
+
+        let entry = pool.pop();
+        if (entry) {
+            entry.binding.context = context;
+        } else {
+            const binding = { context };
+            entry = { server: await this.#buildServer(context, config, binding), binding };
+        }
+
+        return {
+            server: entry.server,
+            release: () => {
+                // Don't keep request data alive in idle servers
+                entry.binding.context = null;
+                if (pool.length < MAX_IDLE_SERVERS_PER_KEY) {
+                    pool.push(entry);
+                }
+            }
+        };
+    }
+
+    /**
+     * Loads every toolbox, resource provider and prompt library with the given
+     * context and checks the definitions, so broken tools fail at startup rather
+     * than on the first request. Visibility rules are ignored here: a tool only
+     * admins or one tenant see is checked all the same.
+     *
+     * @param {Object} context - A representative context (as the provider would build)
+     * @returns {Promise<Object>} Counts of loaded tools, resources and prompts
+     * @throws {Error} Listing every problem found
+     */
+    async validate(context = {}) {
+        const load = (loaders) => Promise.all(loaders.map(loader => loader.load(context, { all: true })))
+            .then(arrays => arrays.flat());
+
+        const [tools, resources, prompts] = await Promise.all([
+            load(this.#ToolBoxes),
+            load(this.#ResourceProviders),
+            load(this.#PromptLibraries)
+        ]);
+
+        const problems = validateDefinitions({ tools, resources, prompts });
+        if (problems.length > 0) {
+            throw new Error(`Invalid MCP definitions:\n  - ${problems.join('\n  - ')}`);
+        }
+
+        return { tools: tools.length, resources: resources.length, prompts: prompts.length };
+    }
+
     /**
      * Starts MCP server with stdio transport for Claude Desktop integration.
+     *
+     * Signals are left to the caller, which knows what else to release: call
+     * close() (which closes the stdio server too) when shutting down.
+     *
      * @param {Function} contextProvider - Optional async function () => context
      */
     async runStdio(contextProvider) {
@@ -84,7 +695,9 @@ class MCPServer {
         const config = {
             server_name: this.#server_name,
             server_version: this.#server_version,
-            ToolBoxes: this.#ToolBoxes
+            ToolBoxes: this.#ToolBoxes,
+            ResourceProviders: this.#ResourceProviders,
+            PromptLibraries: this.#PromptLibraries
         };
 
         // Get context from provider or use empty object
@@ -92,59 +705,178 @@ class MCPServer {
             ? await contextProvider()
             : {};
 
-        const server = await this.#buildServer(context, config);
+        const binding = { context };
+        const server = await this.#buildServer(context, config, binding);
         const transport = new StdioServerTransport();
 
         await server.connect(transport);
-
-        // Handle shutdown gracefully
-        process.on('SIGINT', async () => {
-            await server.close();
-            process.exit(0);
-        });
+        this.#stdioSession = { server, context, binding };
     }
 
     /**
      * Returns Express middleware for the MCP streaming endpoint.
+     *
+     * By default the endpoint is stateless: every POST builds a fresh server
+     * from the context provider, or reuses a cached one when the MCPServer was
+     * created with a `contextKey`. With `options.stateful` the endpoint issues
+     * Mcp-Session-Id headers, builds the server and context once per session,
+     * and must be mounted for POST, GET (SSE notification stream) and DELETE
+     * (session teardown), e.g. `app.all('/mcp', ...)`.
+     *
      * @param {Function} contextProvider - Optional async function (req) => context
+     * @param {Object} options - Endpoint options
+     * @param {boolean} options.stateful - Enable session mode (default: false)
+     * @param {number} options.sessionIdleTimeoutMs - Evict sessions idle this long (default: 30 minutes)
+     * @param {Function} options.sessionOwner - Optional (req) => identity; requests for a session
+     *   from a different identity than the one that created it get 403
+     * @param {Array<string>} options.corsOrigins - Browser origins allowed to call the endpoint
+     *   ("*" for any; default: none, see mcp/cors)
+     */
+    streamingEndpoint(contextProvider, options = {}) {
+        if (options.stateful) {
+            return this.#statefulEndpoint(contextProvider, options);
+        }
+
+        const acquireServer = this.#acquireServer.bind(this);
+
+        return async (req, res, next) => {
+            const { StreamableHTTPServerTransport } = await loadSdk();
+
+            try {
+                // Get context from provider or use empty object
+                const context = contextProvider
+                    ? await contextProvider(req)
+                    : {};
+
+                const { server, release } = await acquireServer(context);
+                // Plain JSON responses can't carry notifications, so stream (SSE)
+                // the response when the caller asked for progress
+                const transport = new StreamableHTTPServerTransport({
+                    sessionIdGenerator: undefined,
+                    enableJsonResponse: !requestsProgress(req.body),
+                });
+
+                res.on('close', async () => {
+                    // Closing the server also closes its transport; then it can be reused
+                    await server.close();
+                    release();
+                });
+
+                setCorsHeaders(req, res, options.corsOrigins, { headers: 'Content-Type, Authorization' });
+
+                await server.connect(transport);
+                await transport.handleRequest(req, res, req.body);
+            } catch (error) {
+                this.#logger.error('Request failed', { error, stack: error.stack });
+                if (!res.headersSent) {
+                    res.status(500).json({
+                        jsonrpc: '2.0',
+                        error: {
+                            code: -32603,
+                            message: 'Internal server error',
+                        },
+                        id: null,
+                    });
+                }
+            }
+        };
+    }
+
+    /**
+     * Builds the stateful (session) variant of the streaming endpoint.
      */
-    streamingEndpoint(contextProvider) {
+    #statefulEndpoint(contextProvider, options) {
         const buildServer = this.#buildServer.bind(this);
+        const sessions = this.#sessions;
         const config = {
             server_name: this.#server_name,
             server_version: this.#server_version,
-            ToolBoxes: this.#ToolBoxes
+            ToolBoxes: this.#ToolBoxes,
+            ResourceProviders: this.#ResourceProviders,
+            PromptLibraries: this.#PromptLibraries
         };
 
+        this.#startSessionEviction(options.sessionIdleTimeoutMs || DEFAULT_SESSION_IDLE_TIMEOUT_MS);
+
         return async (req, res, next) => {
-            const { StreamableHTTPServerTransport } = await import(
-                "@modelcontextprotocol/sdk/server/streamableHttp.js"
-            );
+            const { StreamableHTTPServerTransport, isInitializeRequest } = await loadSdk();
+
+            setCorsHeaders(req, res, options.corsOrigins, {
+                headers: 'Content-Type, Authorization, Mcp-Session-Id',
+                expose: 'Mcp-Session-Id'
+            });
 
             try {
-                // Get context from provider or use empty object
+                const sessionId = req.get('mcp-session-id');
+                const session = sessionId ? sessions.get(sessionId) : null;
+
+                if (session && options.sessionOwner && options.sessionOwner(req) !== session.owner) {
+                    res.status(403).json({
+                        jsonrpc: '2.0',
+                        error: {
+                            code: -32000,
+                            message: 'Session belongs to a different principal',
+                        },
+                        id: null,
+                    });
+                    return;
+                }
+
+                if (session) {
+                    session.lastActivity = Date.now();
+                    await session.transport.handleRequest(req, res, req.body);
+                    return;
+                }
+
+                if (sessionId || req.method !== 'POST' || !isInitializeRequest(req.body)) {
+                    // Unknown session (expired or evicted) or a request without one
+                    res.status(sessionId ? 404 : 400).json({
+                        jsonrpc: '2.0',
+                        error: {
+                            code: -32000,
+                            message: sessionId
+                                ? 'Session not found'
+                                : 'Bad Request: No valid session ID provided',
+                        },
+                        id: null,
+                    });
+                    return;
+                }
+
+                // New session - build context and server once, reuse for every later request
                 const context = contextProvider
                     ? await contextProvider(req)
                     : {};
 
-                const server = await buildServer(context, config);
+                const binding = { context };
+                const server = await buildServer(context, config, binding);
                 const transport = new StreamableHTTPServerTransport({
-                    sessionIdGenerator: undefined,
-                    enableJsonResponse: true,
+                    sessionIdGenerator: () => crypto.randomUUID(),
+                    onsessioninitialized: (id) => {
+                        sessions.set(id, {
+                            server,
+                            transport,
+                            context,
+                            binding,
+                            owner: options.sessionOwner ? options.sessionOwner(req) : null,
+                            lastActivity: Date.now()
+                        });
+                    },
+                    onsessionclosed: (id) => {
+                        sessions.delete(id);
+                    },
                 });
 
-                res.on('close', () => {
-                    transport.close();
-                    server.close();
-                });
-
-                res.setHeader("Access-Control-Allow-Origin", "*");
-                res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+                transport.onclose = () => {
+                    if (transport.sessionId) {
+                        sessions.delete(transport.sessionId);
+                    }
+                };
 
                 await server.connect(transport);
                 await transport.handleRequest(req, res, req.body);
             } catch (error) {
-                console.error('MCP Server Error:', error);
+                this.#logger.error('Request failed', { error, stack: error.stack });
                 if (!res.headersSent) {
                     res.status(500).json({
                         jsonrpc: '2.0',
@@ -158,6 +890,70 @@ class MCPServer {
             }
         };
     }
+
+    /**
+     * Periodically closes sessions that have been idle longer than the timeout.
+     */
+    #startSessionEviction(idleTimeoutMs) {
+        if (this.#evictionTimer) {
+            return;
+        }
+
+        const interval = Math.min(idleTimeoutMs, 60 * 1000);
+        this.#evictionTimer = setInterval(() => {
+            const cutoff = Date.now() - idleTimeoutMs;
+            for (const [sessionId, session] of this.#sessions) {
+                if (session.lastActivity < cutoff) {
+                    this.#closeSession(sessionId);
+                }
+            }
+        }, interval);
+
+        // Don't keep the process alive just for eviction
+        this.#evictionTimer.unref();
+    }
+
+    async #closeSession(sessionId) {
+        const session = this.#sessions.get(sessionId);
+        if (!session) {
+            return;
+        }
+
+        this.#sessions.delete(sessionId);
+        try {
+            // Closing the server also closes its transport
+            await session.server.close();
+        } catch (error) {
+            this.#logger.error('Session close failed', { sessionId, error });
+        }
+    }
+
+    /**
+     * Number of active sessions (stateful mode only).
+     */
+    get sessionCount() {
+        return this.#sessions.size;
+    }
+
+    /**
+     * Stops session eviction and closes every active session and the stdio server.
+     */
+    async close() {
+        if (this.#evictionTimer) {
+            clearInterval(this.#evictionTimer);
+            this.#evictionTimer = null;
+        }
+
+        await Promise.all(
+            Array.from(this.#sessions.keys()).map(id => this.#closeSession(id))
+        );
+
+        if (this.#stdioSession) {
+            const { server } = this.#stdioSession;
+            this.#stdioSession = null;
+            await server.close();
+        }
+    }
 }
 
 module.exports = MCPServer;
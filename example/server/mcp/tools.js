@@ -1,13 +1,30 @@
+const { runMiddleware } = require('./middleware');
+const { isVisible } = require('./visibility');
+
 /**
  * Toolbox - A container for MCP tools
  *
  * Tools are factory functions that accept a context and return a tool definition.
  * This allows tools to be context-aware (e.g., for multi-tenant scenarios).
+ * Factories may be async, and may return null when the tool is not available
+ * in the given context. Definitions can also declare `visibility` rules
+ * (roles, tenants, feature flags; see ./visibility.js) checked against the context.
+ *
+ * A tool definition has `name`, `description`, a zod `schema` for its input and
+ * a `handler(args, extra)`. Optional metadata: `title`, `annotations` (readOnlyHint,
+ * destructiveHint, idempotentHint, openWorldHint), `outputSchema`, `version` and
+ * `timeout` (ms; the handler's `extra.signal` aborts when it elapses). Long-running
+ * handlers can call `extra.reportProgress(done, total, message)`; `extra.sessionId`
+ * identifies the MCP session (null over stdio and stateless HTTP).
+ *
+ * Middleware passed in options (or added with use()) wraps every tool handler
+ * in this toolbox; see ./middleware.js for the hook contract.
  */
 class Toolbox {
     #tools;
+    #middleware;
 
-    constructor(tools) {
+    constructor(tools, options = {}) {
         if (Array.isArray(tools)) {
             this.#tools = tools;
         } else if (tools) {
@@ -15,15 +32,49 @@ class Toolbox {
         } else {
             this.#tools = [];
         }
+
+        this.#middleware = Array.isArray(options.middleware) ? [...options.middleware] : [];
+    }
+
+    /**
+     * Append middleware to this toolbox
+     * @param {Function|Object} middleware - Middleware function or hook object
+     * @returns {Toolbox} this, for chaining
+     */
+    use(middleware) {
+        this.#middleware.push(middleware);
+        return this;
     }
 
     /**
-     * Load all tools with the given context
+     * Load all tools available in the given context
      * @param {Object} context - Context object passed to each tool factory
-     * @returns {Array} Array of instantiated tools
+     * @param {Object} options - Load options
+     * @param {boolean} options.all - Keep tools the visibility rules hide (for validation)
+     * @returns {Array} Array of instantiated tools (hidden tools omitted)
      */
-    async load(context) {
-        return this.#tools.map((toolFactory) => toolFactory(context));
+    async load(context, options = {}) {
+        const middleware = this.#middleware;
+
+        const tools = await Promise.all(
+            this.#tools.map((toolFactory) => toolFactory(context))
+        );
+
+        const visible = tools.filter((tool) => tool && (options.all || isVisible(tool.visibility, context)));
+        if (middleware.length === 0) {
+            return visible;
+        }
+
+        // Bind this toolbox's middleware and the context to each handler
+        return visible.map((tool) => ({
+            ...tool,
+            // Prefer the per-request context when the server is cached and rebound
+            handler: (args, extra = {}) => runMiddleware(
+                middleware,
+                { tool, context: extra.context || context, args, extra },
+                tool.handler
+            )
+        }));
     }
 }
 
@@ -0,0 +1,102 @@
+const { z } = require('zod');
+
+const ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
+function isZodShape(shape) {
+    return shape !== null
+        && typeof shape === 'object'
+        && !Array.isArray(shape)
+        && Object.values(shape).every(value => value instanceof z.ZodType);
+}
+
+function checkTool(tool, problems) {
+    const label = `tool ${tool.name ? `"${tool.name}"` : '(unnamed)'}`;
+
+    if (typeof tool.name !== 'string' || !/^[A-Za-z0-9_.-]{1,128}$/.test(tool.name)) {
+        problems.push(`${label}: name must be 1-128 letters, digits, '_', '-' or '.'`);
+    }
+    if (typeof tool.description !== 'string' || tool.description.trim() === '') {
+        problems.push(`${label}: description is required`);
+    }
+    if (typeof tool.handler !== 'function') {
+        problems.push(`${label}: handler must be a function`);
+    }
+    if (tool.schema !== undefined && !isZodShape(tool.schema)) {
+        problems.push(`${label}: schema must be an object of zod types`);
+    }
+    if (tool.outputSchema !== undefined && !isZodShape(tool.outputSchema)) {
+        problems.push(`${label}: outputSchema must be an object of zod types`);
+    }
+    if (tool.annotations !== undefined) {
+        for (const hint of ANNOTATION_HINTS) {
+            if (tool.annotations[hint] !== undefined && typeof tool.annotations[hint] !== 'boolean') {
+                problems.push(`${label}: annotations.${hint} must be a boolean`);
+            }
+        }
+    }
+    if (tool.timeout !== undefined && !(Number.isFinite(tool.timeout) && tool.timeout > 0)) {
+        problems.push(`${label}: timeout must be a positive number of milliseconds`);
+    }
+}
+
+function checkResource(resource, problems) {
+    const label = `resource ${resource.name ? `"${resource.name}"` : '(unnamed)'}`;
+
+    if (typeof resource.name !== 'string' || resource.name === '') {
+        problems.push(`${label}: name is required`);
+    }
+    if (!resource.uri === !resource.uriTemplate) {
+        problems.push(`${label}: exactly one of uri or uriTemplate is required`);
+    }
+    if (typeof resource.handler !== 'function') {
+        problems.push(`${label}: handler must be a function`);
+    }
+    if (resource.list !== undefined && typeof resource.list !== 'function') {
+        problems.push(`${label}: list must be a function`);
+    }
+}
+
+function checkPrompt(prompt, problems) {
+    const label = `prompt ${prompt.name ? `"${prompt.name}"` : '(unnamed)'}`;
+
+    if (typeof prompt.name !== 'string' || prompt.name === '') {
+        problems.push(`${label}: name is required`);
+    }
+    if (typeof prompt.handler !== 'function') {
+        problems.push(`${label}: handler must be a function`);
+    }
+    if (prompt.schema !== undefined && !isZodShape(prompt.schema)) {
+        problems.push(`${label}: schema must be an object of zod types`);
+    }
+}
+
+function checkUnique(kind, definitions, problems) {
+    const seen = new Set();
+    for (const { name } of definitions) {
+        if (seen.has(name)) {
+            problems.push(`${kind} "${name}" is defined more than once`);
+        }
+        seen.add(name);
+    }
+}
+
+/**
+ * Check loaded tool, resource and prompt definitions
+ * @param {Object} definitions - { tools, resources, prompts } arrays
+ * @returns {Array<string>} Problems found (empty if all valid)
+ */
+function validateDefinitions({ tools = [], resources = [], prompts = [] }) {
+    const problems = [];
+
+    tools.forEach(tool => checkTool(tool, problems));
+    resources.forEach(resource => checkResource(resource, problems));
+    prompts.forEach(prompt => checkPrompt(prompt, problems));
+
+    checkUnique('tool', tools, problems);
+    checkUnique('resource', resources, problems);
+    checkUnique('prompt', prompts, problems);
+
+    return problems;
+}
+
+module.exports = { validateDefinitions };
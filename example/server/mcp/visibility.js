@@ -0,0 +1,62 @@
+/**
+ * Visibility rules - Decide whether a tool (or resource/prompt) is exposed for a context
+ *
+ * A definition may declare `visibility` as either a function
+ * `(context) => boolean` or an object with any of:
+ *
+ *   roles:    ['admin', ...]  - context.roles must include at least one
+ *   tenants:  ['acme', ...]   - context.tenant must be one of them
+ *   features: ['raw-sql', ...] - every flag must be enabled in context.features
+ *                               (an array of names or an object of booleans)
+ *
+ * All declared rules must pass. No `visibility` means visible to everyone.
+ */
+
+function hasFeature(features, name) {
+    if (Array.isArray(features)) {
+        return features.includes(name);
+    }
+    if (features && typeof features === 'object') {
+        return Boolean(features[name]);
+    }
+    return false;
+}
+
+/**
+ * Evaluate visibility rules against a context
+ * @param {Function|Object|undefined} rules - The definition's `visibility`
+ * @param {Object} context - Context from the context provider
+ * @returns {boolean}
+ */
+function isVisible(rules, context = {}) {
+    if (!rules) {
+        return true;
+    }
+
+    if (typeof rules === 'function') {
+        return Boolean(rules(context));
+    }
+
+    if (rules.roles) {
+        const roles = context.roles || [];
+        if (!rules.roles.some(role => roles.includes(role))) {
+            return false;
+        }
+    }
+
+    if (rules.tenants) {
+        if (!rules.tenants.includes(context.tenant)) {
+            return false;
+        }
+    }
+
+    if (rules.features) {
+        if (!rules.features.every(flag => hasFeature(context.features, flag))) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+module.exports = { isVisible };
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { loggerFrom } = require('./logger');
+
+const DEFAULT_DEBOUNCE_MS = 250;
+const DEFAULT_EXTENSIONS = ['.js', '.md'];
+
+/**
+ * Drop every cached module under a directory so the next require() reloads it
+ * @param {string} directory - Absolute directory path
+ * @returns {number} Number of modules dropped
+ */
+function purgeRequireCache(directory) {
+    const prefix = path.resolve(directory) + path.sep;
+    let purged = 0;
+
+    for (const filename of Object.keys(require.cache)) {
+        if (filename.startsWith(prefix)) {
+            delete require.cache[filename];
+            purged++;
+        }
+    }
+
+    return purged;
+}
+
+/**
+ * Watch a directory of modules and call onChange after edits settle
+ *
+ * Changes are debounced (editors often write a file several times) and the
+ * require cache for the directory is purged before onChange runs. Errors from
+ * onChange are logged, not thrown, so a broken edit doesn't stop the watcher.
+ *
+ * @param {string} directory - Directory to watch (recursively)
+ * @param {Function} onChange - async (changedFiles: Array<string>) => void
+ * @param {Object} options - Configuration options
+ * @param {number} options.debounceMs - Quiet period before reloading (default: 250)
+ * @param {Array<string>} options.extensions - File extensions to react to (default: .js, .md)
+ * @param {Logger} options.logger - Logger (see mcp/logger)
+ * @returns {Object} Watcher with close()
+ */
+function watchModules(directory, onChange, options = {}) {
+    const debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    const extensions = options.extensions || DEFAULT_EXTENSIONS;
+    const logger = loggerFrom(options, 'Watch');
+
+    let timer = null;
+    let changed = new Set();
+
+    const reload = async () => {
+        timer = null;
+        const files = Array.from(changed);
+        changed = new Set();
+
+        purgeRequireCache(directory);
+        try {
+            await onChange(files);
+        } catch (error) {
+            logger.error('Reload failed', { files, error });
+        }
+    };
+
+    const watcher = fs.watch(directory, { recursive: true }, (eventType, filename) => {
+        if (!filename || !extensions.includes(path.extname(filename))) {
+            return;
+        }
+
+        changed.add(filename);
+        clearTimeout(timer);
+        timer = setTimeout(reload, debounceMs);
+    });
+
+    // Don't keep the process alive just for watching
+    watcher.unref();
+
+    return {
+        close: () => {
+            clearTimeout(timer);
+            watcher.close();
+        }
+    };
+}
+
+module.exports = { watchModules, purgeRequireCache };
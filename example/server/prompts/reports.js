@@ -0,0 +1,61 @@
+const { z } = require('zod');
+
+/**
+ * Report prompt: Compare an institution with its peers
+ */
+const comparePeerInstitutions = (context) => {
+    return {
+        name: 'compare-peer-institutions',
+        title: 'Compare Peer Institutions',
+        description: 'Builds a peer comparison report for an institution: finds institutions with the same Carnegie type, size and region, then compares their degree production.',
+        schema: {
+            institution: z.string().describe('Institution name (or part of it), e.g. "Ramapo"'),
+            year: z.string().optional().describe('Award year to compare (default: 2024)'),
+            level: z.string().optional().describe('Degree level name, e.g. "Bachelor\'s" (default: all levels)')
+        },
+        handler: async (args) => {
+            const year = args.year || '2024';
+            const level = args.level ? ` at the ${args.level} level` : '';
+
+            return `Create a peer comparison report for the institution matching "${args.institution}".
+
+1. Find the institution in the institutions table (names are UPPERCASE - use LIKE with UPPER()). If several match, list them and ask which one I mean.
+2. Identify its peers: current institutions (is_current = 1) with the same type_code, size_code and region_code.
+3. For the institution and each peer, total the degrees awarded in ${year}${level} from degrees_awarded, and include the 5-year growth rate.
+4. Present one table ranking the institution among its peers, and summarize where it leads and where it lags.`;
+        }
+    };
+};
+
+/**
+ * Report prompt: Trends for a program over time
+ */
+const programTrendReport = (context) => {
+    return {
+        name: 'program-trend-report',
+        title: 'Program Trend Report',
+        description: 'Builds a trend report for an academic program (CIP code or name): national degree production over time, top institutions, and related occupations.',
+        schema: {
+            program: z.string().describe('CIP code (e.g. "11.07") or program name (e.g. "Computer Science")'),
+            level: z.string().optional().describe('Degree level name, e.g. "Bachelor\'s" (default: all levels)'),
+            state: z.string().optional().describe('Two-letter state code to limit the report to (default: nationwide)')
+        },
+        handler: async (args) => {
+            const level = args.level ? ` for ${args.level} degrees` : '';
+            const scope = args.state ? ` in ${args.state.toUpperCase()}` : ' nationwide';
+
+            return `Create a trend report for the program "${args.program}"${level}${scope}.
+
+1. Resolve the program in the programs table (CIP code or case-insensitive name match). Use the group or family level if the match is broad.
+2. Show total degrees awarded per year from degrees_awarded, and the number of institutions awarding them.
+3. List the top 10 institutions by degrees awarded in the most recent year, with their 5-year growth rate.
+4. List related occupations from program_occupations.
+5. Summarize the overall trend in two or three sentences.`;
+        }
+    };
+};
+
+module.exports = {
+    comparePeerInstitutions,
+    programTrendReport
+};
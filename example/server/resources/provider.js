@@ -0,0 +1,131 @@
+const { fetchResourcePage } = require('./query');
+
+const PAGE_SIZE = 100;
+
+/**
+ * Serialize a resource read as the JSON body returned over MCP
+ */
+function toResult(resource, rows, offset, limit) {
+    const hasNext = limit !== null && (offset + rows.length) < resource.totalCount;
+
+    return {
+        data: rows,
+        total_count: resource.totalCount,
+        returned_count: rows.length,
+        offset,
+        limit,
+        has_next: hasNext
+    };
+}
+
+// The per-request context (when the server passes one) carries the caller's principal
+function principalOf(context, extra) {
+    return (extra.context || context).principal || null;
+}
+
+/**
+ * Look up a resource the principal may read (see ResourceStore.canAccess),
+ * counting the read only when it is allowed
+ */
+async function getAuthorized(resourceStore, guid, principal) {
+    const resource = await resourceStore.get(guid, { renew: false });
+    if (!resource) {
+        const status = await resourceStore.status(guid);
+        const reason = status === 'expired' || status === 'evicted' ? `Resource ${status}` : 'Resource not found';
+        throw new Error(`${reason}: ${guid}`);
+    }
+    if (!resourceStore.canAccess(resource, principal)) {
+        throw new Error(`Access denied to resource: ${guid}`);
+    }
+
+    const touched = await resourceStore.touch(guid, resource);
+    if (!touched) {
+        throw new Error(`Resource not found: ${guid}`);
+    }
+    return touched;
+}
+
+/**
+ * Query Results Resource - Full dataset for a dual-response resource
+ *
+ * Backs the resource://<guid> URIs returned by the dual-response query tool,
+ * so MCP clients (including stdio clients that cannot reach the REST endpoint)
+ * can fetch complete results via resources/read.
+ */
+const queryResults = (context) => {
+    const resourceStore = context.resourceStore;
+
+    if (!resourceStore) {
+        throw new Error('resourceStore not provided in context');
+    }
+
+    return {
+        name: 'query-results',
+        title: 'Query Results',
+        description: 'Complete result set of a dual-response query. The URI is returned in the resource field of the query tool result.',
+        mimeType: 'application/json',
+        uriTemplate: 'resource://{guid}',
+
+        list: async (extra = {}) => {
+            const principal = principalOf(context, extra);
+
+            return (await resourceStore.list())
+                .filter(r => resourceStore.canAccess(r, principal))
+                .map(r => ({
+                    uri: `resource://${r.id}`,
+                    name: `query-results-${r.id}`,
+                    title: r.name || 'Query Results',
+                    description: r.description
+                        ? `${r.description} (${r.totalCount} rows, created ${r.createdAt})`
+                        : `${r.totalCount} rows, created ${r.createdAt}`,
+                    mimeType: 'application/json'
+                }));
+        },
+
+        handler: async (uri, { guid }, extra = {}) => {
+            const resource = await getAuthorized(resourceStore, guid, principalOf(context, extra));
+
+            const { rows } = await fetchResourcePage(resourceStore, resource,
+                { offset: 0, limit: null, signal: extra.signal }, context.metrics);
+            return toResult(resource, rows, 0, null);
+        }
+    };
+};
+
+/**
+ * Query Results Page Resource - One page of a dual-response resource
+ *
+ * Pages are zero-indexed and hold PAGE_SIZE rows each, e.g.
+ * resource://<guid>/pages/0 for the first PAGE_SIZE rows.
+ */
+const queryResultsPage = (context) => {
+    const resourceStore = context.resourceStore;
+
+    if (!resourceStore) {
+        throw new Error('resourceStore not provided in context');
+    }
+
+    return {
+        name: 'query-results-page',
+        title: 'Query Results Page',
+        description: `One page (${PAGE_SIZE} rows) of a dual-response query result set. Pages are zero-indexed.`,
+        mimeType: 'application/json',
+        uriTemplate: 'resource://{guid}/pages/{page}',
+
+        handler: async (uri, { guid, page }, extra = {}) => {
+            const resource = await getAuthorized(resourceStore, guid, principalOf(context, extra));
+
+            const pageNumber = parseInt(page);
+            if (isNaN(pageNumber) || pageNumber < 0) {
+                throw new Error(`Invalid page number: ${page}`);
+            }
+
+            const offset = pageNumber * PAGE_SIZE;
+            const { rows } = await fetchResourcePage(resourceStore, resource,
+                { offset, limit: PAGE_SIZE, signal: extra.signal }, context.metrics);
+            return toResult(resource, rows, offset, PAGE_SIZE);
+        }
+    };
+};
+
+module.exports = { queryResults, queryResultsPage };
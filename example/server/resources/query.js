@@ -0,0 +1,199 @@
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const { metricsFrom } = require('../mcp/metrics');
+const { ErrorCodes } = require('../mcp/errors');
+const { allWithDeadline } = require('../tools/sql-timeout');
+const { trimSql } = require('./sql');
+
+const DB_PATH = path.join(__dirname, '..', 'insights.sqlite');
+// How long re-executing a stored query may take before the read gives up
+const READ_TIMEOUT_MS = 30 * 1000;
+
+// Shared read-only connection. It lives here rather than in a tool module:
+// reloading tools purges tools/ from the require cache, and a connection
+// opened there would be orphaned (never closed) on every reload.
+let db = null;
+
+/**
+ * The shared read-only connection to the insights database
+ * @returns {DatabaseSync}
+ */
+function getDatabase() {
+    if (!db) {
+        try {
+            db = new DatabaseSync(DB_PATH, { readOnly: true });
+        } catch (error) {
+            throw new Error(`Failed to open database: ${error.message}`);
+        }
+    }
+    return db;
+}
+
+// Offset and limit as non-negative integers; limit stays null for "all rows"
+function normalizePage(options) {
+    const offset = Math.max(parseInt(options.offset) || 0, 0);
+    const limit = options.limit === null || options.limit === undefined
+        ? null
+        : Math.max(parseInt(options.limit) || 0, 0);
+    return { offset, limit };
+}
+
+/**
+ * Build the SQL for one page of a stored query
+ *
+ * The stored SQL is wrapped as a subquery so sorting and pagination
+ * work regardless of what the original query contains (trailing comments
+ * and semicolons are dropped first, or they would swallow the wrapper).
+ *
+ * @param {string} sql - The stored SQL query (without LIMIT)
+ * @param {Object} options - Page options
+ * @param {number} options.offset - Rows to skip (default: 0)
+ * @param {number|null} options.limit - Max rows to return (null for all)
+ * @param {Object} options.sort - Optional { field, order: 'asc' | 'desc' }
+ * @returns {string} The paginated SQL
+ */
+function buildPageSql(sql, options = {}) {
+    const { offset, limit } = normalizePage(options);
+    const sort = options.sort;
+
+    let pageSql = trimSql(sql);
+
+    if (sort && sort.field) {
+        const order = sort.order === 'desc' ? 'DESC' : 'ASC';
+        const field = String(sort.field).replace(/"/g, '""');
+        pageSql = `SELECT * FROM (${pageSql}) ORDER BY "${field}" ${order}`;
+    }
+
+    if (limit !== null) {
+        pageSql = `SELECT * FROM (${pageSql}) LIMIT ${limit} OFFSET ${offset}`;
+    } else if (offset > 0) {
+        pageSql = `SELECT * FROM (${pageSql}) LIMIT -1 OFFSET ${offset}`;
+    }
+
+    return pageSql;
+}
+
+/**
+ * Run a query and record its latency and row count
+ *
+ * Kinds: count and sample (dual-response tool), page and full (resource
+ * fetches), snapshot (materializing a resource), query (standard tool
+ * returning every row to the LLM).
+ *
+ * @param {MetricsRegistry} metrics - Registry (see mcp/metrics)
+ * @param {string} kind - Query kind label
+ * @param {Function} run - () => rows, or () => Promise of rows
+ * @returns {Array|Promise<Array>} The rows returned by run (a promise when run returns one)
+ */
+function timeQuery(metrics, kind, run) {
+    const registry = metricsFrom({ metrics });
+    const stopTimer = registry
+        .histogram('sql_query_duration_seconds', 'SQL execution latency by query kind', ['query'])
+        .startTimer({ query: kind });
+
+    const finish = (rows) => {
+        stopTimer();
+        if (rows) {
+            registry
+                .counter('sql_rows_returned_total', 'Rows returned by SQL queries by query kind', ['query'])
+                .inc({ query: kind }, rows.length);
+        }
+        registry
+            .counter('sql_queries_total', 'SQL queries by query kind and outcome', ['query', 'outcome'])
+            .inc({ query: kind, outcome: rows ? 'ok' : 'error' });
+        return rows;
+    };
+
+    let result;
+    try {
+        result = run();
+    } catch (error) {
+        finish(null);
+        throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+        return result.then(finish, (error) => {
+            finish(null);
+            throw error;
+        });
+    }
+    return finish(result);
+}
+
+/**
+ * Execute one page of a stored resource query
+ *
+ * It runs in a worker thread (see tools/sql-timeout) and stops with a TIMEOUT
+ * ToolError once its deadline passes or its signal aborts.
+ *
+ * @param {Object} resource - Resource from the ResourceStore
+ * @param {Object} options - Page options (see buildPageSql), plus:
+ * @param {number} options.deadline - Epoch ms to stop at (default: READ_TIMEOUT_MS from now)
+ * @param {AbortSignal} options.signal - Stops the query when aborted
+ * @param {MetricsRegistry} metrics - Optional registry to record the query in
+ * @returns {Promise<{ sql: string, rows: Array }>} The executed SQL and returned rows
+ */
+async function fetchPage(resource, options = {}, metrics) {
+    const sql = buildPageSql(resource.sql, options);
+    const kind = options.limit === null || options.limit === undefined ? 'full' : 'page';
+    const extra = { deadline: options.deadline || Date.now() + READ_TIMEOUT_MS, signal: options.signal };
+    const rows = await timeQuery(metrics, kind, () => allWithDeadline(DB_PATH, sql, extra));
+    return { sql, rows };
+}
+
+/**
+ * Run a resource's stored query in full, to materialize it as a snapshot
+ *
+ * Like fetchPage it runs in a worker thread with a deadline.
+ *
+ * @param {Object} resource - Resource from the ResourceStore
+ * @param {MetricsRegistry} metrics - Optional registry to record the query in
+ * @param {Object} options - Capture options
+ * @param {number} options.limit - Stop after this many rows (default: all)
+ * @param {number} options.deadline - Epoch ms to stop at (default: READ_TIMEOUT_MS from now)
+ * @param {AbortSignal} options.signal - Stops the query when aborted
+ * @returns {Promise<Array>} The result rows
+ */
+function captureRows(resource, metrics, options = {}) {
+    const extra = { deadline: options.deadline || Date.now() + READ_TIMEOUT_MS, signal: options.signal };
+    return timeQuery(metrics, 'snapshot', () => allWithDeadline(DB_PATH, resource.sql, extra, { limit: options.limit }));
+}
+
+/**
+ * Read one page of a resource: from its snapshot rows, or by re-executing
+ * its stored query. Failed re-executions are recorded on the resource, so its
+ * metadata reports "failed" until a later fetch succeeds; one that merely ran
+ * out of time isn't.
+ *
+ * @param {ResourceStore} resourceStore - Store holding the resource
+ * @param {Object} resource - Resource from the ResourceStore
+ * @param {Object} options - Page options (see fetchPage)
+ * @param {MetricsRegistry} metrics - Optional registry to record the query in
+ * @returns {Promise<{ sql: string|null, rows: Array }>} The executed SQL (null for
+ *   snapshots) and returned rows
+ */
+async function fetchResourcePage(resourceStore, resource, options, metrics) {
+    if (resource.strategy === 'snapshot') {
+        const rows = await resourceStore.getRows(resource.id, { ...normalizePage(options), sort: options.sort });
+        return { sql: null, rows };
+    }
+
+    let page;
+    try {
+        page = await fetchPage(resource, options, metrics);
+    } catch (error) {
+        if (error.code === ErrorCodes.TIMEOUT) {
+            throw error;
+        }
+        await resourceStore.setError(resource.id, { code: 'QUERY_EXECUTION_FAILED', message: error.message });
+        throw error;
+    }
+
+    if (resource.error) {
+        await resourceStore.setError(resource.id, null);
+    }
+    return page;
+}
+
+module.exports = { DB_PATH, getDatabase, buildPageSql, fetchPage, fetchResourcePage, captureRows, timeQuery };
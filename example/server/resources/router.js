@@ -1,16 +1,42 @@
 const express = require('express');
-const path = require('path');
-const { DatabaseSync } = require('node:sqlite');
+const { fetchResourcePage, captureRows } = require('./query');
+const { loggerFrom } = require('../mcp/logger');
+const { metricsFrom } = require('../mcp/metrics');
+const { ErrorCodes } = require('../mcp/errors');
+const { LABEL_LIMITS } = require('./store');
+const { StoreError } = require('./stores');
+const { isShareRequest, toCsv, SHARE_FORMATS } = require('./share');
+
+const MAX_CATALOG_LIMIT = 200;
+
+// Catalog cursors are opaque to clients: the last listed resource's position
+function encodeCursor(resource) {
+    return Buffer.from(JSON.stringify([resource.createdAt, resource.id])).toString('base64url');
+}
 
-const DB_PATH = path.join(__dirname, '..', 'insights.sqlite');
+function decodeCursor(cursor) {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+        return typeof createdAt === 'string' && typeof id === 'string' ? { createdAt, id } : null;
+    } catch {
+        return null;
+    }
+}
 
-// Shared database connection
-let db = null;
-function getDatabase() {
-    if (!db) {
-        db = new DatabaseSync(DB_PATH, { readonly: true });
+// Why name/description/tags from a request body are invalid, or null if they're fine
+function invalidLabels({ name, description, tags }) {
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > LABEL_LIMITS.name)) {
+        return `name must be a string of at most ${LABEL_LIMITS.name} characters`;
+    }
+    if (description !== undefined && description !== null
+        && (typeof description !== 'string' || description.length > LABEL_LIMITS.description)) {
+        return `description must be a string of at most ${LABEL_LIMITS.description} characters`;
     }
-    return db;
+    if (tags !== undefined && (!Array.isArray(tags) || tags.length > LABEL_LIMITS.tags
+        || !tags.every(tag => typeof tag === 'string' && tag.length > 0 && tag.length <= LABEL_LIMITS.tag))) {
+        return `tags must be an array of at most ${LABEL_LIMITS.tags} strings of 1-${LABEL_LIMITS.tag} characters`;
+    }
+    return null;
 }
 
 /**
@@ -20,12 +46,281 @@ function getDatabase() {
  *
  * @param {ResourceStore} resourceStore - The shared resource store
  * @param {Object} options - Configuration options
- * @param {boolean} options.debug - Enable debug logging
+ * @param {boolean} options.debug - Enable the debug stats endpoint (GET /stats)
+ * @param {Logger} options.logger - Logger (see mcp/logger)
+ * @param {MetricsRegistry} options.metrics - Metrics registry (see mcp/metrics)
+ * @param {ShareLinks} options.shareLinks - Signs and verifies share links (see
+ *   resources/share); without it share endpoints answer 501 and signed URLs are refused
+ * @param {string} options.baseUrl - Origin share links point at (default: the request's)
  * @returns {express.Router}
  */
 function createResourceRouter(resourceStore, options = {}) {
     const router = express.Router();
     const debug = options.debug || false;
+    const shareLinks = options.shareLinks || null;
+    const logger = loggerFrom(options, 'REST');
+    const metrics = metricsFrom(options);
+
+    // Per resource counts come from the store's accessCount; a guid label
+    // would give Prometheus an unbounded number of series
+    const fetches = metrics.counter('rest_resource_fetches_total', 'REST resource requests by method and status', ['method', 'status']);
+    const bytesServed = metrics.counter('rest_bytes_served_total', 'Response bytes served by the REST resource endpoint', ['method']);
+    const latency = metrics.histogram('rest_request_duration_seconds', 'REST resource request latency', ['method']);
+    // event: created, revoked, served or rejected
+    const shareEvents = metrics.counter('rest_share_links_total', 'Share link events', ['event']);
+
+    // Express 4 doesn't catch rejected promises; hand them to the error handler below
+    const asyncRoute = (handler) => (req, res, next) => handler(req, res).catch(next);
+
+    // Token binding: only the principal (or tenant, see ResourceStore binding)
+    // that created a resource may read or delete it, whoever else has the GUID
+    const authorize = (req, res, resource) => {
+        if (resourceStore.canAccess(resource, req.principal || null)) {
+            return true;
+        }
+
+        req.log.warn('Resource access denied', { guid: resource.id });
+        res.status(403).json({
+            error: 'forbidden',
+            message: 'Resource belongs to another principal'
+        });
+        return false;
+    };
+
+    // Expired and evicted resources get their own error so clients know to re-run the query
+    const notFound = async (req, res, guid) => {
+        const status = await resourceStore.status(guid);
+
+        if (status === 'expired' || status === 'evicted') {
+            req.log.debug(`Resource ${status}`, { guid });
+            return res.status(410).json({
+                error: status,
+                status,
+                message: status === 'expired'
+                    ? 'Resource expired; run the query again for a new one'
+                    : 'Resource evicted to keep the store within its limits; run the query again for a new one'
+            });
+        }
+
+        req.log.debug('Resource not found', { guid });
+        return res.status(404).json({
+            error: 'not_found',
+            message: 'Resource not found'
+        });
+    };
+
+    // Re-executing a stored query failed: 504 when it ran past its deadline.
+    // Store failures while reading go on to the error handler below.
+    const queryFailed = (req, res, guid, error) => {
+        if (error instanceof StoreError) {
+            throw error;
+        }
+        if (error.code === ErrorCodes.TIMEOUT) {
+            req.log.warn('Query timed out', { guid });
+            return res.status(504).json({
+                error: 'query_timeout',
+                message: error.message
+            });
+        }
+
+        req.log.error('Query error', { guid, error });
+        return res.status(500).json({
+            error: 'query_failed',
+            message: error.message
+        });
+    };
+
+    // Lifecycle view of a resource (metadata endpoint and PUT responses)
+    const toMetadata = (resource) => ({
+        id: resource.id,
+        uri: `resource://${resource.id}`,
+        name: resource.name || null,
+        description: resource.description || null,
+        tags: resource.tags || [],
+        status: resourceStore.lifecycleStatus(resource),
+        total_count: resource.totalCount,
+        strategy: resource.strategy,
+        snapshot_at: resource.snapshotAt || undefined,
+        parent_id: resource.parentId || null,
+        session_id: resource.sessionId || null,
+        created_at: resource.createdAt,
+        expires_at: resource.expiresAt,
+        pinned: resource.pinned,
+        ttl_seconds: Math.round(resource.ttlMs / 1000),
+        access_count: resource.accessCount,
+        last_accessed: resource.lastAccessedAt,
+        error: resource.error || undefined
+    });
+
+    // Correlate with the caller's X-Request-Id when it sends one
+    router.use((req, res, next) => {
+        const requestId = req.get('X-Request-Id') || Date.now().toString(36);
+        res.setHeader('X-Request-Id', requestId);
+        // req.principal is set when the router is mounted behind requireAuth
+        req.log = logger.child({ requestId, subject: req.principal ? req.principal.subject : undefined });
+
+        const stopTimer = latency.startTimer({ method: req.method });
+        res.on('finish', () => {
+            stopTimer();
+            fetches.inc({ method: req.method, status: res.statusCode });
+            bytesServed.inc({ method: req.method }, parseInt(res.get('Content-Length')) || 0);
+        });
+        next();
+    });
+
+    // A share link's read: its own format and row cap, whatever else is in the URL
+    const serveShared = async (req, res) => {
+        const match = /^\/([^/]+)\/?$/.exec(req.path);
+        const reject = (status, error, message) => {
+            shareEvents.inc({ event: 'rejected' });
+            req.log.warn('Share link rejected', { error, path: req.path });
+            return res.status(status).json({ error, message });
+        };
+
+        // Requests carrying a signature skipped authentication, so nothing else is allowed
+        if (!shareLinks) {
+            return reject(403, 'invalid_share', 'Share links are not enabled');
+        }
+        if (req.method !== 'GET' || !match) {
+            return reject(403, 'invalid_share', 'Share links only grant GET /resources/:guid');
+        }
+
+        const guid = match[1];
+        const link = shareLinks.verify(guid, req.query);
+        if (!link.valid) {
+            return reject(403, 'invalid_share', 'Share link signature is not valid');
+        }
+        if (link.expired) {
+            return reject(410, 'share_expired', 'Share link has expired');
+        }
+
+        // A revoked link mustn't keep its resource alive, so renew only once the share checks out
+        let resource = await resourceStore.get(guid, { renew: false });
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
+        const share = (resource.shares || []).find(s => s.id === link.id);
+        if (!share || share.revokedAt) {
+            return reject(410, 'share_revoked', 'Share link has been revoked');
+        }
+
+        resource = await resourceStore.touch(guid, resource);
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
+
+        let rows;
+        try {
+            ({ rows } = await fetchResourcePage(resourceStore, resource, { offset: 0, limit: link.rows }, metrics));
+        } catch (error) {
+            return queryFailed(req, res, guid, error);
+        }
+
+        shareEvents.inc({ event: 'served' });
+        req.log.info('Served share link', { guid, shareId: share.id, format: link.format, rows: rows.length });
+
+        if (link.format === 'csv') {
+            return res.type('text/csv').attachment(`${guid}.csv`).send(toCsv(rows));
+        }
+        res.json({
+            data: rows,
+            name: resource.name || null,
+            total_count: resource.totalCount,
+            returned_count: rows.length
+        });
+    };
+
+    // Signed share links stand in for authentication (see resources/share)
+    router.use((req, res, next) => {
+        if (!isShareRequest(req)) {
+            return next();
+        }
+        serveShared(req, res).catch(next);
+    });
+
+    const shareUrl = (req, guid, share) =>
+        `${options.baseUrl || `${req.protocol}://${req.get('host')}`}${req.baseUrl}/${guid}?${shareLinks.query(guid, share)}`;
+
+    // Share record as returned to the resource's owner
+    const toShare = (req, guid, share) => ({
+        id: share.id,
+        url: shareUrl(req, guid, share),
+        created_at: share.createdAt,
+        created_by: share.createdBy,
+        expires_at: share.expiresAt,
+        format: share.format,
+        rows: share.rows,
+        status: share.revokedAt ? 'revoked' : (Date.parse(share.expiresAt) <= Date.now() ? 'expired' : 'active'),
+        revoked_at: share.revokedAt || undefined
+    });
+
+    /**
+     * GET /resources/
+     * Lists the live resources the caller may read, newest first, as metadata
+     *
+     * This path used to serve the debug stats, which are now at GET /resources/stats.
+     *
+     * Query parameters:
+     *   tag: string (repeatable) - only resources with every given tag
+     *   name: string - case-insensitive substring of the name
+     *   pinned: true | false
+     *   created_after, created_before: ISO timestamps (exclusive)
+     *   limit: number (default: 50, max: 200)
+     *   cursor: string - next_cursor from the previous page
+     */
+    router.get('/', asyncRoute(async (req, res) => {
+        const { name, pinned, created_after: createdAfter, created_before: createdBefore, cursor } = req.query;
+        const tags = [].concat(req.query.tag || []);
+        const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit);
+
+        req.log.debug('GET resource catalog', { tags, name, pinned, createdAfter, createdBefore, limit });
+
+        const invalid = (message) => res.status(400).json({ error: 'invalid_request', message });
+        if (limit !== undefined && !(limit > 0 && limit <= MAX_CATALOG_LIMIT)) {
+            return invalid(`limit must be between 1 and ${MAX_CATALOG_LIMIT}`);
+        }
+        if (pinned !== undefined && pinned !== 'true' && pinned !== 'false') {
+            return invalid('pinned must be true or false');
+        }
+        const bounds = {};
+        for (const [param, value] of [['created_after', createdAfter], ['created_before', createdBefore]]) {
+            if (value !== undefined) {
+                if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+                    return invalid(`${param} must be an ISO timestamp`);
+                }
+                bounds[param] = new Date(value).toISOString();
+            }
+        }
+        const after = cursor === undefined ? null : decodeCursor(String(cursor));
+        if (cursor !== undefined && !after) {
+            return invalid('cursor is not valid');
+        }
+
+        const { resources, hasMore } = await resourceStore.catalog(req.principal || null, {
+            tags: tags.map(String),
+            name: name === undefined ? undefined : String(name),
+            pinned: pinned === undefined ? undefined : pinned === 'true',
+            createdAfter: bounds.created_after,
+            createdBefore: bounds.created_before,
+            after,
+            limit
+        });
+
+        res.json({
+            resources: resources.map(toMetadata),
+            returned_count: resources.length,
+            next_cursor: hasMore ? encodeCursor(resources[resources.length - 1]) : null
+        });
+    }));
+
+    // Debug endpoint - store usage and every resource, whoever owns it
+    // (formerly GET /resources/, before that became the catalog)
+    if (debug) {
+        router.get('/stats', asyncRoute(async (req, res) => {
+            req.log.debug('GET resource stats');
+            res.json(await resourceStore.stats());
+        }));
+    }
 
     /**
      * GET /resources/:guid
@@ -35,49 +330,32 @@ function createResourceRouter(resourceStore, options = {}) {
      *   skip: number (default: 0) - rows to skip
      *   limit: number (optional) - max rows to return (omit for all)
      */
-    router.get('/:guid', (req, res) => {
+    router.get('/:guid', asyncRoute(async (req, res) => {
         const { guid } = req.params;
         const skip = parseInt(req.query.skip) || 0;
         const limit = req.query.limit ? parseInt(req.query.limit) : null;
 
-        if (debug) {
-            console.log('[REST] GET /resources/' + guid);
-            console.log('[REST] Pagination:', { skip, limit });
-        }
+        req.log.debug('GET resource', { guid, skip, limit });
 
-        const resource = resourceStore.get(guid);
+        // Renewed only once the caller is known to be allowed to read it
+        let resource = await resourceStore.get(guid, { renew: false });
 
         if (!resource) {
-            if (debug) {
-                console.log('[REST] Resource not found:', guid);
-            }
-            return res.status(404).json({
-                error: 'not_found',
-                message: 'Resource not found or expired'
-            });
+            return notFound(req, res, guid);
         }
 
-        try {
-            const database = getDatabase();
-
-            // Build query with pagination
-            let paginatedSql = resource.sql;
-            if (limit !== null) {
-                paginatedSql = `SELECT * FROM (${resource.sql}) LIMIT ${limit} OFFSET ${skip}`;
-            } else if (skip > 0) {
-                paginatedSql = `SELECT * FROM (${resource.sql}) LIMIT -1 OFFSET ${skip}`;
-            }
-
-            if (debug) {
-                console.log('[REST] Executing SQL:', paginatedSql.substring(0, 150) + (paginatedSql.length > 150 ? '...' : ''));
-            }
+        if (!authorize(req, res, resource)) {
+            return;
+        }
 
-            const stmt = database.prepare(paginatedSql);
-            const rows = stmt.all();
+        resource = await resourceStore.touch(guid, resource);
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
 
-            if (debug) {
-                console.log('[REST] Returned rows:', rows.length);
-            }
+        try {
+            const { sql: paginatedSql, rows } = await fetchResourcePage(resourceStore, resource, { offset: skip, limit }, metrics);
+            req.log.debug('Executed SQL', { guid, sql: paginatedSql, rows: rows.length });
 
             const hasNext = limit !== null && (skip + rows.length) < resource.totalCount;
             const hasPrev = skip > 0;
@@ -89,19 +367,14 @@ function createResourceRouter(resourceStore, options = {}) {
                 skip,
                 limit,
                 has_next: hasNext,
-                has_prev: hasPrev
+                has_prev: hasPrev,
+                expires_at: resource.expiresAt
             });
 
         } catch (error) {
-            if (debug) {
-                console.error('[REST] Query error:', error.message);
-            }
-            res.status(500).json({
-                error: 'query_failed',
-                message: error.message
-            });
+            queryFailed(req, res, guid, error);
         }
-    });
+    }));
 
     /**
      * POST /resources/:guid
@@ -114,57 +387,36 @@ function createResourceRouter(resourceStore, options = {}) {
      *   sort?: { field: string, order: 'asc' | 'desc' }
      * }
      */
-    router.post('/:guid', (req, res) => {
+    router.post('/:guid', asyncRoute(async (req, res) => {
         const { guid } = req.params;
         const { offset = 0, limit = 100, sort } = req.body;
 
-        if (debug) {
-            console.log('[REST] POST /resources/' + guid);
-            console.log('[REST] Pagination:', { offset, limit, sort });
-        }
+        req.log.debug('POST resource', { guid, offset, limit, sort });
 
-        const resource = resourceStore.get(guid);
+        // Renewed only once the caller is known to be allowed to read it
+        let resource = await resourceStore.get(guid, { renew: false });
 
         if (!resource) {
-            if (debug) {
-                console.log('[REST] Resource not found:', guid);
-            }
-            return res.status(404).json({
-                error: 'not_found',
-                message: 'Resource not found or expired'
-            });
+            return notFound(req, res, guid);
         }
 
-        try {
-            const database = getDatabase();
-
-            // Build paginated query from stored SQL
-            let paginatedSql = resource.sql;
-
-            // Add ORDER BY if sort specified
-            if (sort && sort.field) {
-                const order = sort.order === 'desc' ? 'DESC' : 'ASC';
-                // Wrap original query and add ordering
-                paginatedSql = `SELECT * FROM (${resource.sql}) ORDER BY "${sort.field}" ${order}`;
-            }
-
-            // Add pagination
-            paginatedSql = `${paginatedSql} LIMIT ${limit} OFFSET ${offset}`;
+        if (!authorize(req, res, resource)) {
+            return;
+        }
 
-            if (debug) {
-                console.log('[REST] Executing paginated SQL:', paginatedSql.substring(0, 150) + '...');
-            }
+        resource = await resourceStore.touch(guid, resource);
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
 
-            const stmt = database.prepare(paginatedSql);
-            const rows = stmt.all();
+        try {
+            // Re-execute stored SQL (or read the snapshot) with optional ordering and pagination
+            const { sql: paginatedSql, rows } = await fetchResourcePage(resourceStore, resource, { offset, limit, sort }, metrics);
 
             const hasNext = offset + rows.length < resource.totalCount;
             const nextOffset = hasNext ? offset + rows.length : null;
 
-            if (debug) {
-                console.log('[REST] Returned rows:', rows.length);
-                console.log('[REST] Has next:', hasNext);
-            }
+            req.log.debug('Executed SQL', { guid, sql: paginatedSql, rows: rows.length, hasNext });
 
             res.json({
                 data: rows,
@@ -172,50 +424,374 @@ function createResourceRouter(resourceStore, options = {}) {
                 returned_count: rows.length,
                 offset,
                 has_next: hasNext,
-                next_offset: nextOffset
+                next_offset: nextOffset,
+                expires_at: resource.expiresAt
             });
 
         } catch (error) {
-            if (debug) {
-                console.error('[REST] Query error:', error.message);
-            }
-            res.status(500).json({
-                error: 'query_failed',
-                message: error.message
+            queryFailed(req, res, guid, error);
+        }
+    }));
+
+    /**
+     * GET /resources/:guid/metadata
+     * Returns lifecycle metadata without fetching data
+     *
+     * status: ready | pinned | failed (410 with status expired or evicted once it's gone)
+     */
+    router.get('/:guid/metadata', asyncRoute(async (req, res) => {
+        const { guid } = req.params;
+
+        req.log.debug('GET resource metadata', { guid });
+
+        // Looking at metadata isn't a fetch: no renewal, no access count
+        const resource = await resourceStore.get(guid, { renew: false });
+
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
+
+        if (!authorize(req, res, resource)) {
+            return;
+        }
+
+        res.json(toMetadata(resource));
+    }));
+
+    /**
+     * GET /resources/:guid/lineage
+     * Returns the queries that led to a resource, oldest first, ending with the
+     * resource itself. Steps stay listed after their own resources are gone;
+     * status tells whether each can still be fetched.
+     */
+    router.get('/:guid/lineage', asyncRoute(async (req, res) => {
+        const { guid } = req.params;
+
+        req.log.debug('GET resource lineage', { guid });
+
+        const resource = await resourceStore.get(guid, { renew: false });
+
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
+
+        if (!authorize(req, res, resource)) {
+            return;
+        }
+
+        const steps = await Promise.all(resourceStore.lineage(resource).map(async step => ({
+            id: step.id,
+            parent_id: step.parentId,
+            sql: step.sql,
+            total_count: step.totalCount,
+            created_at: step.createdAt,
+            session_id: step.sessionId,
+            status: step.id === resource.id
+                ? resourceStore.lifecycleStatus(resource)
+                : await resourceStore.status(step.id)
+        })));
+
+        res.json({
+            id: resource.id,
+            depth: steps.length,
+            lineage: steps
+        });
+    }));
+
+    /**
+     * PUT /resources/:guid
+     * Pins, unpins, extends or relabels a resource and returns its metadata
+     *
+     * Request body (an empty body pins; one with only labels just relabels):
+     * {
+     *   pinned?: boolean (default: true) - false unpins; it then expires one TTL from now
+     *   ttl_seconds?: number - expire this many seconds from now instead (unpins)
+     *   snapshot?: boolean - when pinning, also capture the current rows so the
+     *     pinned result stops changing (400 if it is too large to snapshot)
+     *   name?: string, description?: string (null clears), tags?: string[] (replaces)
+     * }
+     */
+    router.put('/:guid', asyncRoute(async (req, res) => {
+        const { guid } = req.params;
+        const body = req.body || {};
+        const { ttl_seconds: ttlSeconds, snapshot = false } = body;
+        const pinned = body.pinned ?? true;
+        const labels = { name: body.name, description: body.description, tags: body.tags };
+        const relabel = Object.values(labels).some(value => value !== undefined);
+        const lifecycle = !relabel || body.pinned !== undefined || ttlSeconds !== undefined || snapshot === true;
+
+        req.log.debug('PUT resource', { guid, pinned, ttlSeconds, snapshot, relabel });
+
+        const labelError = invalidLabels(labels);
+        if (labelError) {
+            return res.status(400).json({
+                error: 'invalid_request',
+                message: labelError
             });
         }
-    });
+
+        if (ttlSeconds !== undefined && !(Number.isInteger(ttlSeconds) && ttlSeconds > 0)) {
+            return res.status(400).json({
+                error: 'invalid_request',
+                message: 'ttl_seconds must be a positive integer'
+            });
+        }
+
+        const current = await resourceStore.get(guid, { renew: false });
+
+        if (!current) {
+            return notFound(req, res, guid);
+        }
+
+        if (!authorize(req, res, current)) {
+            return;
+        }
+
+        const capture = snapshot === true && pinned !== false && ttlSeconds === undefined
+            && current.strategy !== 'snapshot';
+        if (capture && resourceStore.strategyFor('snapshot', current.totalCount) !== 'snapshot') {
+            return res.status(400).json({
+                error: 'invalid_request',
+                message: `Resource has too many rows to snapshot (${current.totalCount})`
+            });
+        }
+
+        if (capture) {
+            let rows;
+            try {
+                // One row past the cap is enough to tell the result has grown too large
+                rows = await captureRows(current, metrics, { limit: resourceStore.maxSnapshotRows + 1 });
+            } catch (error) {
+                return queryFailed(req, res, guid, error);
+            }
+            if (resourceStore.strategyFor('snapshot', rows.length) !== 'snapshot') {
+                return res.status(400).json({
+                    error: 'invalid_request',
+                    message: `Resource has too many rows to snapshot (more than ${resourceStore.maxSnapshotRows})`
+                });
+            }
+            if (!await resourceStore.snapshot(guid, rows)) {
+                return notFound(req, res, guid);
+            }
+        }
+
+        let resource = current;
+        if (relabel) {
+            resource = await resourceStore.describe(guid, labels);
+        }
+        if (resource && lifecycle) {
+            if (ttlSeconds !== undefined) {
+                resource = await resourceStore.setExpiration(guid, ttlSeconds * 1000);
+            } else if (pinned === false) {
+                resource = await resourceStore.unpin(guid);
+            } else {
+                resource = await resourceStore.pin(guid);
+            }
+        }
+
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
+
+        req.log.info('Updated resource', {
+            guid,
+            name: resource.name || undefined,
+            pinned: resource.pinned,
+            strategy: resource.strategy,
+            expiresAt: resource.expiresAt
+        });
+
+        res.json(toMetadata(resource));
+    }));
+
+    // Share endpoints need a configured secret
+    const requireShareLinks = (req, res) => {
+        if (shareLinks) {
+            return true;
+        }
+        res.status(501).json({
+            error: 'not_enabled',
+            message: 'Share links are not configured (set SHARE_LINK_SECRET)'
+        });
+        return false;
+    };
 
     /**
-     * DELETE /resources/:guid
-     * Deletes a resource
+     * POST /resources/:guid/shares
+     * Mints a signed link that reads the resource without authentication
+     *
+     * The link stops working when it expires, is revoked, or the resource
+     * itself expires (pin the resource to keep it for the link's lifetime).
+     *
+     * Request body:
+     * {
+     *   ttl_seconds?: number - link lifetime (default: 24 hours, capped at the configured maximum)
+     *   format?: 'json' | 'csv' (default: json)
+     *   rows?: number - most rows the link returns (default: all)
+     * }
+     */
+    router.post('/:guid/shares', asyncRoute(async (req, res) => {
+        const { guid } = req.params;
+        const { ttl_seconds: ttlSeconds, format = 'json', rows } = req.body || {};
+
+        req.log.debug('POST resource share', { guid, ttlSeconds, format, rows });
+
+        if (!requireShareLinks(req, res)) {
+            return;
+        }
+
+        const invalid = (message) => res.status(400).json({ error: 'invalid_request', message });
+        if (ttlSeconds !== undefined && !(Number.isInteger(ttlSeconds) && ttlSeconds > 0)) {
+            return invalid('ttl_seconds must be a positive integer');
+        }
+        if (!SHARE_FORMATS.includes(format)) {
+            return invalid(`format must be one of: ${SHARE_FORMATS.join(', ')}`);
+        }
+        if (rows !== undefined && !(Number.isInteger(rows) && rows > 0)) {
+            return invalid('rows must be a positive integer');
+        }
+
+        const current = await resourceStore.get(guid, { renew: false });
+
+        if (!current) {
+            return notFound(req, res, guid);
+        }
+
+        if (!authorize(req, res, current)) {
+            return;
+        }
+
+        const share = shareLinks.create({
+            ttlMs: ttlSeconds ? ttlSeconds * 1000 : undefined,
+            format,
+            rows,
+            principal: req.principal || null
+        });
+        const resource = await resourceStore.addShare(guid, share);
+
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
+
+        shareEvents.inc({ event: 'created' });
+        req.log.info('Created share link', { guid, shareId: share.id, expiresAt: share.expiresAt, format });
+
+        res.status(201).json({
+            ...toShare(req, guid, share),
+            resource_expires_at: resource.expiresAt
+        });
+    }));
+
+    /**
+     * GET /resources/:guid/shares
+     * Lists the resource's share links (active, expired and revoked)
      */
-    router.delete('/:guid', (req, res) => {
+    router.get('/:guid/shares', asyncRoute(async (req, res) => {
         const { guid } = req.params;
 
-        if (debug) {
-            console.log('[REST] DELETE /resources/' + guid);
+        req.log.debug('GET resource shares', { guid });
+
+        if (!requireShareLinks(req, res)) {
+            return;
+        }
+
+        const resource = await resourceStore.get(guid, { renew: false });
+
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
+
+        if (!authorize(req, res, resource)) {
+            return;
         }
 
-        const deleted = resourceStore.delete(guid);
+        res.json({
+            id: resource.id,
+            shares: (resource.shares || []).map(share => toShare(req, guid, share))
+        });
+    }));
+
+    /**
+     * DELETE /resources/:guid/shares/:shareId
+     * Revokes a share link
+     */
+    router.delete('/:guid/shares/:shareId', asyncRoute(async (req, res) => {
+        const { guid, shareId } = req.params;
+
+        req.log.debug('DELETE resource share', { guid, shareId });
+
+        if (!requireShareLinks(req, res)) {
+            return;
+        }
 
-        if (!deleted) {
+        const current = await resourceStore.get(guid, { renew: false });
+
+        if (!current) {
+            return notFound(req, res, guid);
+        }
+
+        if (!authorize(req, res, current)) {
+            return;
+        }
+
+        if (!(current.shares || []).some(share => share.id === shareId)) {
             return res.status(404).json({
                 error: 'not_found',
-                message: 'Resource not found'
+                message: 'Share link not found'
             });
         }
 
+        if (!await resourceStore.revokeShare(guid, shareId)) {
+            return notFound(req, res, guid);
+        }
+
+        shareEvents.inc({ event: 'revoked' });
+        req.log.info('Revoked share link', { guid, shareId });
+
         res.status(204).send();
-    });
+    }));
 
-    // Debug endpoint - list all resources
-    if (debug) {
-        router.get('/', (req, res) => {
-            console.log('[REST] GET /resources/ (debug listing)');
-            res.json(resourceStore.stats());
+    /**
+     * DELETE /resources/:guid
+     * Deletes a resource
+     */
+    router.delete('/:guid', asyncRoute(async (req, res) => {
+        const { guid } = req.params;
+
+        req.log.debug('DELETE resource', { guid });
+
+        const resource = await resourceStore.get(guid, { renew: false });
+
+        if (!resource) {
+            return notFound(req, res, guid);
+        }
+
+        if (!authorize(req, res, resource)) {
+            return;
+        }
+
+        await resourceStore.delete(guid);
+
+        res.status(204).send();
+    }));
+
+    // Backend failures (e.g. the SQLite store file is locked or unreadable) are
+    // worth retrying; anything else is a bug
+    router.use((error, req, res, next) => {
+        if (error instanceof StoreError) {
+            req.log.error('Resource store error', { error });
+            return res.status(503).json({
+                error: 'storage_error',
+                message: 'Resource store unavailable'
+            });
+        }
+
+        req.log.error('Resource request failed', { error });
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Internal server error'
         });
-    }
+    });
 
     return router;
 }
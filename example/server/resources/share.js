@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+const DEFAULT_SHARE_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_SHARE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Short secrets make the signatures guessable offline
+const MIN_SECRET_LENGTH = 16;
+const SHARE_FORMATS = ['json', 'csv'];
+// Bump when the signed fields change, so old links fail verification instead of misreading
+const SIGNATURE_VERSION = 'v1';
+
+/**
+ * Check whether a request carries a share link signature
+ *
+ * Authentication lets these through (see requireAuth's allow option); the
+ * resource router then verifies them and rejects anything but the read the
+ * link was minted for.
+ *
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isShareRequest(req) {
+    return Boolean(req.query && typeof req.query.sig === 'string');
+}
+
+// Quote a CSV field when it holds a separator, quote or line break (RFC 4180).
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab, CR first) gets
+// a leading apostrophe; numbers are left alone so -5 stays a number.
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV, with a header row from the columns of every row
+ * @param {Array<Object>} rows - Result rows
+ * @returns {string} CSV text (CRLF line endings)
+ */
+function toCsv(rows) {
+    const columns = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+    const lines = [columns.map(csvField).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvField(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * ShareLinks - Signed, time-limited links to read one resource without a token
+ *
+ * A link names the resource, a share id, its expiry, format (json or csv) and
+ * an optional row cap, signed with HMAC-SHA256 so none of them can be changed.
+ * The resource keeps a record of each share (see ResourceStore.addShare), so
+ * a link can be revoked before it expires and dies with its resource.
+ *
+ *   /resources/<guid>?share=<id>&expires=<epoch seconds>&format=csv&rows=100&sig=<hmac>
+ */
+class ShareLinks {
+    #secret;
+    #defaultTtlMs;
+    #maxTtlMs;
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.secret - HMAC key (at least 16 characters)
+     * @param {number} options.defaultTtlMs - Link lifetime when none is asked for (default: 24 hours)
+     * @param {number} options.maxTtlMs - Longest lifetime a link can be given (default: 7 days)
+     */
+    constructor(options = {}) {
+        if (!options.secret || options.secret.length < MIN_SECRET_LENGTH) {
+            throw new Error(`ShareLinks requires a secret of at least ${MIN_SECRET_LENGTH} characters`);
+        }
+
+        this.#secret = options.secret;
+        this.#maxTtlMs = options.maxTtlMs || DEFAULT_MAX_SHARE_TTL_MS;
+        this.#defaultTtlMs = Math.min(options.defaultTtlMs || DEFAULT_SHARE_TTL_MS, this.#maxTtlMs);
+    }
+
+    /**
+     * Describe a new share; store it on the resource, then build its link with query()
+     * @param {Object} options - Share options
+     * @param {number} options.ttlMs - Lifetime (default: the configured default, capped at maxTtlMs)
+     * @param {string} options.format - json (default) | csv
+     * @param {number} options.rows - Most rows the link returns (default: all)
+     * @param {Object} options.principal - Who minted it (null when anonymous)
+     * @returns {Object} Share record { id, createdAt, createdBy, expiresAt, format, rows, revokedAt }
+     */
+    create(options = {}) {
+        const ttlMs = Math.min(options.ttlMs || this.#defaultTtlMs, this.#maxTtlMs);
+        // Whole seconds: the expiry travels in the URL as epoch seconds
+        const expiresAt = new Date(Math.floor((Date.now() + ttlMs) / 1000) * 1000);
+
+        return {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            createdBy: options.principal ? options.principal.subject : null,
+            expiresAt: expiresAt.toISOString(),
+            format: SHARE_FORMATS.includes(options.format) ? options.format : 'json',
+            rows: options.rows || null,
+            revokedAt: null
+        };
+    }
+
+    /**
+     * Build the signed query string for a share
+     * @param {string} guid - The resource GUID
+     * @param {Object} share - Share record from create()
+     * @returns {string} Query string (without the leading ?)
+     */
+    query(guid, share) {
+        const fields = {
+            share: share.id,
+            expires: String(Date.parse(share.expiresAt) / 1000),
+            format: share.format,
+            rows: share.rows ? String(share.rows) : ''
+        };
+        const { rows, ...shown } = fields;
+        // rows is left out of the URL when there's no cap (it's signed as empty)
+        return new URLSearchParams({ ...shown, ...(rows ? { rows } : {}), sig: this.#sign(guid, fields) }).toString();
+    }
+
+    /**
+     * Check a share link's signature and expiry
+     * @param {string} guid - The resource GUID from the path
+     * @param {Object} query - Parsed query string
+     * @returns {Object} { valid: false } for a bad signature, otherwise
+     *   { valid: true, expired, id, format, rows }
+     */
+    verify(guid, query) {
+        const fields = {
+            share: String(query.share || ''),
+            expires: String(query.expires || ''),
+            format: String(query.format || ''),
+            rows: query.rows === undefined ? '' : String(query.rows)
+        };
+
+        const expected = Buffer.from(this.#sign(guid, fields));
+        const given = Buffer.from(String(query.sig));
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return { valid: false };
+        }
+
+        return {
+            valid: true,
+            expired: parseInt(fields.expires) * 1000 <= Date.now(),
+            id: fields.share,
+            format: fields.format,
+            rows: fields.rows ? parseInt(fields.rows) : null
+        };
+    }
+
+    #sign(guid, fields) {
+        const payload = [SIGNATURE_VERSION, guid, fields.share, fields.expires, fields.format, fields.rows].join('\n');
+        return crypto.createHmac('sha256', this.#secret).update(payload).digest('base64url');
+    }
+}
+
+/**
+ * Create the share link signer configured through environment variables
+ *
+ *   SHARE_LINK_SECRET      - HMAC secret (share links are disabled without one)
+ *   SHARE_LINK_TTL_MS      - Default link lifetime (default: 24 hours)
+ *   SHARE_LINK_MAX_TTL_MS  - Longest link lifetime (default: 7 days)
+ *
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {ShareLinks|null} null when no secret is set
+ */
+function shareLinksFromEnv(env = process.env) {
+    if (!env.SHARE_LINK_SECRET) {
+        return null;
+    }
+    return new ShareLinks({
+        secret: env.SHARE_LINK_SECRET,
+        defaultTtlMs: parseInt(env.SHARE_LINK_TTL_MS) || undefined,
+        maxTtlMs: parseInt(env.SHARE_LINK_MAX_TTL_MS) || undefined
+    });
+}
+
+module.exports = { ShareLinks, isShareRequest, shareLinksFromEnv, toCsv, SHARE_FORMATS };
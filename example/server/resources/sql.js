@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+/**
+ * SQL text helpers shared by the resource store (fingerprints) and the query
+ * paths (wrapping stored SQL in COUNT(*) and paging subqueries)
+ *
+ * They tokenize just enough SQL to tell literals and comments from code.
+ */
+
+// String literals, quoted identifiers and comments, in the order they can start
+const SQL_TOKENS = /('(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|--[^\n]*|\/\*[\s\S]*?\*\/)/;
+
+/**
+ * Normalize SQL for fingerprinting: collapse whitespace, lowercase keywords and
+ * identifiers, drop comments and trailing semicolons, leave literals alone
+ * @param {string} sql - SQL text
+ * @returns {string} Normalized SQL
+ */
+function normalizeSql(sql) {
+    let normalized = '';
+    let code = '';
+    const flush = () => {
+        normalized += code.replace(/\s+/g, ' ').toLowerCase();
+        code = '';
+    };
+
+    String(sql).split(SQL_TOKENS).forEach((part, i) => {
+        if (i % 2 === 0) {
+            code += part;
+        } else if (part.startsWith('--') || part.startsWith('/*')) {
+            code += ' ';
+        } else {
+            flush();
+            normalized += part;
+        }
+    });
+    flush();
+
+    return normalized.trim().replace(/[\s;]+$/, '');
+}
+
+/**
+ * Fingerprint SQL by the hash of its normalized text (see normalizeSql)
+ * @param {string} sql - SQL text
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprintSql(sql) {
+    return crypto.createHash('sha256').update(normalizeSql(sql)).digest('hex');
+}
+
+const isComment = (token) => token.startsWith('--') || token.startsWith('/*');
+
+/**
+ * Drop trailing comments, semicolons and whitespace, leaving a statement that
+ * can be followed by more SQL (a closing parenthesis, ORDER BY, ...)
+ * @param {string} sql - SQL text
+ * @returns {string} The trimmed SQL
+ */
+function trimSql(sql) {
+    const parts = String(sql).split(SQL_TOKENS);
+    // Odd indexes are tokens, even ones the code between them
+    let end = parts.length;
+    while (end > 0) {
+        const part = parts[end - 1];
+        if ((end - 1) % 2 === 1) {
+            if (!isComment(part)) {
+                break;
+            }
+        } else if (!/^[\s;]*$/.test(part)) {
+            parts[end - 1] = part.replace(/[\s;]+$/, '');
+            break;
+        }
+        end--;
+    }
+    return parts.slice(0, end).join('');
+}
+
+/**
+ * The SQL as it can be wrapped in a subquery (SELECT ... FROM (<sql>)), or null
+ * when it can't: statements other than SELECT, WITH and VALUES (a PRAGMA,
+ * say), and more than one statement
+ * @param {string} sql - SQL text
+ * @returns {string|null} The trimmed SQL, or null
+ */
+function subquerySql(sql) {
+    const trimmed = trimSql(sql);
+    const code = trimmed.split(SQL_TOKENS).filter((part, i) => i % 2 === 0);
+    if (code.some(part => part.includes(';'))) {
+        return null;
+    }
+    return /^\(*\s*(select|with|values)\b/.test(normalizeSql(trimmed)) ? trimmed : null;
+}
+
+module.exports = { normalizeSql, fingerprintSql, trimSql, subquerySql };
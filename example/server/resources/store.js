@@ -1,25 +1,194 @@
 const crypto = require('crypto');
+const { LRUCache } = require('../mcp/cache');
+const { loggerFrom } = require('../mcp/logger');
+const { metricsFrom } = require('../mcp/metrics');
+const { MemoryStore } = require('./stores');
+const { normalizeSql, fingerprintSql } = require('./sql');
+
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CLEANUP_INTERVAL_MS = 60 * 1000;
+const DEFAULT_MAX_RESOURCES = 1000;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+const DEFAULT_MAX_SNAPSHOT_ROWS = 10000;
+const STRATEGIES = ['query', 'snapshot'];
+// Candidates fetched from the backend per eviction round
+const EVICTION_BATCH = 50;
+// Removed GUIDs remembered (per process) so callers can tell "expired" from "never existed"
+const TOMBSTONE_LIMIT = 10000;
+// Ancestors copied into a resource's lineage; older ones are dropped
+const MAX_LINEAGE_DEPTH = 100;
+const DEFAULT_CATALOG_LIMIT = 50;
+// Bounds on how a resource can be labelled (checked by the tool schema and the REST router)
+const LABEL_LIMITS = Object.freeze({ name: 200, description: 2000, tags: 20, tag: 50 });
+
+// Tags compare case-insensitively: keep them trimmed, lowercase and unique
+function normalizeTags(tags) {
+    return Array.from(new Set((tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+}
+
+// What a resource's lineage records about each step
+function lineageEntry(resource) {
+    return {
+        id: resource.id,
+        parentId: resource.parentId || null,
+        sql: resource.sql,
+        totalCount: resource.totalCount,
+        createdAt: resource.createdAt,
+        sessionId: resource.sessionId || null
+    };
+}
+
+// The parts of a principal a resource keeps as its owner
+function ownerOf(principal) {
+    return principal ? { subject: principal.subject, tenant: principal.tenant || null } : null;
+}
+
+function sameOwner(a, b) {
+    return a === null || b === null
+        ? a === b
+        : a.subject === b.subject && a.tenant === b.tenant;
+}
 
 /**
- * ResourceStore - In-memory storage for dual-response resources
+ * ResourceStore - Lifecycle management for dual-response resources
  *
  * Maps GUIDs to query definitions, allowing the REST endpoint to
- * re-execute queries with pagination.
+ * re-execute queries with pagination. Storage is delegated to a backend
+ * (see resources/stores): in memory by default, or a SQLite file that
+ * survives restarts and can be shared by several server processes.
+ *
+ * Resources expire after a TTL (15 minutes by default, overridable per
+ * resource). With sliding renewal, every fetch pushes the expiry out by the
+ * resource's TTL again, so results someone is paging through stay alive while
+ * speculative queries nobody looks at are dropped. Expired resources are
+ * removed lazily on access and by a background cleanup interval; call
+ * shutdown() to stop it.
+ *
+ * Lifecycle: ready -> [fetched] -> expired, or ready -> pinned (kept until
+ * unpinned or deleted). A resource whose stored query failed to re-execute
+ * reports "failed" until a later fetch succeeds.
+ *
+ * Storage strategy, per resource: "query" keeps only the SQL and re-executes
+ * it on every fetch (always current, nothing to store), "snapshot" keeps the
+ * result rows captured at creation or on pin (stable pages, no repeated
+ * query cost). Results larger than maxSnapshotRows are always kept as queries.
  *
- * NOTE: This is a simple in-memory implementation for demonstration.
- * In production, consider:
- * - Persistent storage (Redis, database)
- * - TTL-based expiration with cleanup intervals
- * - Resource pinning to prevent expiration
- * - Memory limits and LRU eviction
+ * Resources can carry a name, description and tags for people to find them
+ * by later; catalog() lists and filters what a principal may read.
+ *
+ * Share links (see resources/share) are recorded on the resource they grant
+ * access to, so revoking one is an update every process sharing the backend
+ * sees, and deleting the resource ends them all.
+ *
+ * A resource can name the resource it refines (its parent) and the session it
+ * was created in. Each resource copies its ancestors' SQL, counts and
+ * timestamps into its lineage, so the chain that led to a result stays
+ * readable after the intermediate resources expire.
+ *
+ * Repeated queries are deduplicated: findReusable() returns the live resource
+ * an owner already has for the same SQL (compared by a fingerprint of its
+ * normalized text), so retries and iterative refinement don't mint new GUIDs.
+ *
+ * The store is capped by resource count and approximate bytes (what matters
+ * once resources hold their rows). Creating a resource past either cap evicts
+ * the least recently used unpinned resources; pinned ones are never evicted,
+ * so pinning more than the caps allow lets the store grow past them.
  */
 class ResourceStore {
-    #resources;
-    #debug;
+    #store;
+    #size;
+    #bytes;
+    #maxResources;
+    #maxBytes;
+    #evicted;
+    #strategy;
+    #maxSnapshotRows;
+    #dedupe;
+    #logger;
+    #created;
+    #reused;
+    #removed;
+    #binding;
+    #ttlMs;
+    #maxTtlMs;
+    #slidingRenewal;
+    #tombstones;
+    #cleanupTimer;
 
+    /**
+     * @param {Object} options - Configuration options
+     * @param {Object} options.store - Backend (see resources/stores; default: a MemoryStore)
+     * @param {Logger} options.logger - Logger (see mcp/logger)
+     * @param {MetricsRegistry} options.metrics - Metrics registry (see mcp/metrics)
+     * @param {string} options.binding - Who may read a resource besides its creator:
+     *   'subject' (only the creating principal, default) or 'tenant' (anyone in its tenant)
+     * @param {number} options.ttlMs - Default time to live (default: 15 minutes)
+     * @param {number} options.maxTtlMs - Upper bound for per-resource TTLs (default: 24 hours)
+     * @param {boolean} options.slidingRenewal - Renew the TTL on every fetch (default: true)
+     * @param {number} options.cleanupIntervalMs - How often expired resources are
+     *   removed (default: 1 minute, 0 to only remove them on access)
+     * @param {number} options.maxResources - Resources kept before evicting (default: 1000)
+     * @param {number} options.maxBytes - Approximate bytes kept before evicting (default: 64 MiB)
+     * @param {string} options.strategy - Default storage strategy: query (default) | snapshot
+     * @param {number} options.maxSnapshotRows - Largest result kept as a snapshot (default: 10000)
+     * @param {boolean} options.dedupe - Reuse an owner's live resource for identical SQL (default: true)
+     */
     constructor(options = {}) {
-        this.#resources = new Map();
-        this.#debug = options.debug || false;
+        this.#store = options.store || new MemoryStore();
+        this.#size = 0;
+        this.#bytes = 0;
+        this.#maxResources = options.maxResources || DEFAULT_MAX_RESOURCES;
+        this.#maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.#evicted = 0;
+        this.#strategy = STRATEGIES.includes(options.strategy) ? options.strategy : 'query';
+        this.#maxSnapshotRows = options.maxSnapshotRows || DEFAULT_MAX_SNAPSHOT_ROWS;
+        this.#dedupe = options.dedupe !== false;
+        this.#logger = loggerFrom(options, 'ResourceStore');
+        this.#binding = options.binding === 'tenant' ? 'tenant' : 'subject';
+        this.#maxTtlMs = options.maxTtlMs || DEFAULT_MAX_TTL_MS;
+        this.#ttlMs = Math.min(options.ttlMs || DEFAULT_TTL_MS, this.#maxTtlMs);
+        this.#slidingRenewal = options.slidingRenewal !== false;
+        this.#tombstones = new LRUCache(TOMBSTONE_LIMIT);
+        this.#cleanupTimer = null;
+
+        const metrics = metricsFrom(options);
+        metrics.gauge('resource_store_resources', 'Resources currently held in the store', [],
+            (gauge) => gauge.set({}, this.#size));
+        metrics.gauge('resource_store_bytes', 'Approximate size of the resources held in the store', [],
+            (gauge) => gauge.set({}, this.#bytes));
+        this.#created = metrics.counter('resource_store_created_total', 'Resources created');
+        this.#reused = metrics.counter('resource_store_reused_total', 'Queries answered with an existing resource');
+        // reason: deleted (explicit DELETE), expired or evicted
+        this.#removed = metrics.counter('resource_store_removed_total', 'Resources removed from the store by reason', ['reason']);
+
+        const cleanupIntervalMs = options.cleanupIntervalMs ?? DEFAULT_CLEANUP_INTERVAL_MS;
+        if (cleanupIntervalMs > 0) {
+            this.#cleanupTimer = setInterval(() => {
+                this.cleanup().catch(error => this.#logger.error('Cleanup failed', { error }));
+            }, cleanupIntervalMs);
+            // Don't keep the process alive just for cleanup
+            this.#cleanupTimer.unref();
+        }
+    }
+
+    /**
+     * Largest result kept as a snapshot (see strategyFor)
+     * @returns {number} Rows
+     */
+    get maxSnapshotRows() {
+        return this.#maxSnapshotRows;
+    }
+
+    /**
+     * Decide how a result should be stored
+     * @param {string} requested - query | snapshot, or undefined for the store's default
+     * @param {number} totalCount - Rows in the result
+     * @returns {string} The strategy to create the resource with
+     */
+    strategyFor(requested, totalCount) {
+        const strategy = STRATEGIES.includes(requested) ? requested : this.#strategy;
+        return strategy === 'snapshot' && totalCount > this.#maxSnapshotRows ? 'query' : strategy;
     }
 
     /**
@@ -27,108 +196,609 @@ class ResourceStore {
      * @param {Object} queryDefinition - The query definition to store
      * @param {string} queryDefinition.sql - The SQL query (without LIMIT)
      * @param {number} queryDefinition.totalCount - Total row count
-     * @returns {string} The generated GUID
+     * @param {Object} queryDefinition.owner - Principal that created it (null when anonymous)
+     * @param {number} queryDefinition.ttlMs - Time to live for this resource
+     *   (default: the store's TTL, capped at maxTtlMs)
+     * @param {string} queryDefinition.strategy - query (default) | snapshot, see strategyFor()
+     * @param {Array} queryDefinition.rows - Every result row (required for snapshots)
+     * @param {Array} queryDefinition.sample - Sample rows returned to the LLM, kept for findReusable()
+     * @param {Object} queryDefinition.parent - Resource this query refines (optional; the
+     *   caller checks the owner may read it)
+     * @param {string} queryDefinition.sessionId - Session it was created in (optional)
+     * @param {string} queryDefinition.name - Title shown when browsing resources (optional)
+     * @param {string} queryDefinition.description - What the result is for (optional)
+     * @param {Array<string>} queryDefinition.tags - Labels to filter the catalog by (optional)
+     * @returns {Promise<string>} The generated GUID
      */
-    create(queryDefinition) {
+    async create(queryDefinition) {
         const guid = crypto.randomUUID();
+        const ttlMs = Math.min(queryDefinition.ttlMs || this.#ttlMs, this.#maxTtlMs);
+        const snapshot = queryDefinition.strategy === 'snapshot';
+        const parent = queryDefinition.parent || null;
+
+        if (snapshot && !Array.isArray(queryDefinition.rows)) {
+            throw new Error('Snapshot resources need their rows');
+        }
 
         const resource = {
             id: guid,
             sql: queryDefinition.sql,
-            totalCount: queryDefinition.totalCount,
+            fingerprint: fingerprintSql(queryDefinition.sql),
+            totalCount: snapshot ? queryDefinition.rows.length : queryDefinition.totalCount,
+            sample: queryDefinition.sample || null,
+            name: queryDefinition.name || null,
+            description: queryDefinition.description || null,
+            tags: normalizeTags(queryDefinition.tags),
+            parentId: parent ? parent.id : null,
+            sessionId: queryDefinition.sessionId || null,
+            // Ancestors, oldest first
+            lineage: parent
+                ? [...(parent.lineage || []), lineageEntry(parent)].slice(-MAX_LINEAGE_DEPTH)
+                : [],
+            strategy: snapshot ? 'snapshot' : 'query',
+            snapshotAt: snapshot ? new Date().toISOString() : null,
+            // Token binding: only this principal (or tenant) may read it back
+            owner: ownerOf(queryDefinition.owner),
             createdAt: new Date().toISOString(),
             accessCount: 0,
             lastAccessedAt: null,
-            // NOTE: In production, implement expiration:
-            // expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString()
-            expiresAt: null
+            ttlMs,
+            expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+            pinned: false,
+            // Last re-execution error ({ code, message }), null once a fetch succeeds
+            error: null
         };
 
-        this.#resources.set(guid, resource);
+        await this.#store.save(resource, snapshot ? queryDefinition.rows : undefined);
+        this.#created.inc();
+        await this.#enforceLimits(guid);
 
-        if (this.#debug) {
-            console.log('[ResourceStore] Created resource:', guid);
-            console.log('[ResourceStore] SQL:', queryDefinition.sql.substring(0, 100) + '...');
-            console.log('[ResourceStore] Total count:', queryDefinition.totalCount);
-        }
+        this.#logger.debug('Created resource', {
+            guid,
+            sql: queryDefinition.sql,
+            totalCount: resource.totalCount,
+            strategy: resource.strategy,
+            parentId: resource.parentId || undefined,
+            owner: resource.owner ? resource.owner.subject : undefined,
+            expiresAt: resource.expiresAt
+        });
 
         return guid;
     }
 
+    /**
+     * Find a live resource to answer a query with instead of creating one
+     *
+     * Matches the same owner (not just anyone allowed to read it) and SQL that
+     * normalizes to the same text. Failed resources and ones created without a
+     * sample aren't reused. A reuse counts as a fetch and renews the resource.
+     *
+     * @param {Object} queryDefinition - The query about to be run
+     * @param {string} queryDefinition.sql - The SQL query
+     * @param {Object} queryDefinition.owner - Principal running it (null when anonymous)
+     * @returns {Promise<Object|null>} The most recently created match, or null
+     */
+    async findReusable(queryDefinition) {
+        if (!this.#dedupe) {
+            return null;
+        }
+
+        const fingerprint = fingerprintSql(queryDefinition.sql);
+        const owner = ownerOf(queryDefinition.owner);
+        const candidates = (await this.#store.findByFingerprint(fingerprint))
+            .filter(r => sameOwner(r.owner, owner) && !r.error && Array.isArray(r.sample) && !this.#isExpired(r))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        for (const candidate of candidates) {
+            const resource = await this.get(candidate.id);
+            if (resource) {
+                this.#reused.inc();
+                this.#logger.debug('Reusing resource', { guid: resource.id, sql: queryDefinition.sql });
+                return resource;
+            }
+        }
+        return null;
+    }
+
     /**
      * Get a resource by GUID
+     *
+     * Expired resources are removed and reported as missing; use status() to
+     * tell them apart from unknown GUIDs.
+     *
      * @param {string} guid - The resource GUID
-     * @returns {Object|null} The resource or null if not found
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.renew - Count this as a fetch: bump accessCount and
+     *   renew the TTL when sliding renewal is on (default: true)
+     * @returns {Promise<Object|null>} The resource or null if not found or expired
      */
-    get(guid) {
-        const resource = this.#resources.get(guid);
+    async get(guid, options = {}) {
+        let resource = await this.#find(guid);
 
-        if (resource) {
-            resource.accessCount++;
-            resource.lastAccessedAt = new Date().toISOString();
+        if (resource && options.renew !== false) {
+            resource = await this.touch(guid, resource);
+        }
+
+        this.#logger.debug('Get resource', {
+            guid,
+            found: Boolean(resource),
+            accessCount: resource ? resource.accessCount : undefined,
+            expiresAt: resource ? resource.expiresAt : undefined
+        });
+
+        return resource;
+    }
 
-            // NOTE: In production, check expiration here:
-            // if (resource.expiresAt && new Date(resource.expiresAt) < new Date()) {
-            //     this.delete(guid);
-            //     return null;
-            // }
+    /**
+     * Count a fetch of a resource: bump accessCount and renew the TTL when
+     * sliding renewal is on. Look a resource up with get(guid, { renew: false })
+     * and touch it once the caller is known to be allowed to read it, so a
+     * refused request leaves no trace on it.
+     *
+     * @param {string} guid - The resource GUID
+     * @param {Object} resource - The resource if it was just looked up (skips
+     *   checking that it is still live)
+     * @returns {Promise<Object|null>} The updated resource or null if it's gone
+     */
+    async touch(guid, resource) {
+        if (!resource && !await this.#find(guid)) {
+            return null;
         }
 
-        if (this.#debug) {
-            console.log('[ResourceStore] Get resource:', guid, resource ? 'found' : 'not found');
-            if (resource) {
-                console.log('[ResourceStore] Access count:', resource.accessCount);
+        // Computed from the stored resource inside the backend's update, so
+        // concurrent fetches all count and a pin made meanwhile isn't undone
+        return this.#store.update(guid, (current) => {
+            const updates = {
+                accessCount: current.accessCount + 1,
+                lastAccessedAt: new Date().toISOString()
+            };
+            if (this.#slidingRenewal && !current.pinned) {
+                updates.expiresAt = new Date(Date.now() + current.ttlMs).toISOString();
             }
+            return updates;
+        });
+    }
+
+    /**
+     * The chain of queries that led to a resource
+     * @param {Object} resource - Resource from get()
+     * @returns {Array<Object>} { id, parentId, sql, totalCount, createdAt, sessionId }
+     *   per step, oldest first, ending with the resource itself
+     */
+    lineage(resource) {
+        return [...(resource.lineage || []), lineageEntry(resource)];
+    }
+
+    /**
+     * Report the lifecycle status of a GUID
+     * @param {string} guid - The resource GUID
+     * @returns {Promise<string>} 'ready', 'pinned' or 'failed' while the resource exists;
+     *   'expired', 'evicted', 'deleted' or 'not_found' once it doesn't
+     */
+    async status(guid) {
+        const resource = await this.#find(guid);
+        if (!resource) {
+            return this.#tombstones.get(guid) || 'not_found';
+        }
+        return this.lifecycleStatus(resource);
+    }
+
+    /**
+     * Lifecycle status of a resource already at hand
+     * @param {Object} resource - Resource from get()
+     * @returns {string} 'ready', 'pinned' or 'failed'
+     */
+    lifecycleStatus(resource) {
+        if (resource.error) {
+            return 'failed';
+        }
+        return resource.pinned ? 'pinned' : 'ready';
+    }
+
+    /**
+     * Pin a resource: it no longer expires until unpinned or deleted
+     * @param {string} guid - The resource GUID
+     * @returns {Promise<Object|null>} The updated resource or null if not found or expired
+     */
+    async pin(guid) {
+        const resource = await this.#update(guid, () => ({ pinned: true, expiresAt: null }));
+        if (resource) {
+            this.#logger.debug('Pinned resource', { guid });
+        }
+        return resource;
+    }
+
+    /**
+     * Unpin a resource: it expires one TTL from now unless fetched again
+     * @param {string} guid - The resource GUID
+     * @returns {Promise<Object|null>} The updated resource or null if not found or expired
+     */
+    async unpin(guid) {
+        const resource = await this.#update(guid, (current) => ({
+            pinned: false,
+            expiresAt: new Date(Date.now() + current.ttlMs).toISOString()
+        }));
+        if (resource) {
+            this.#logger.debug('Unpinned resource', { guid, expiresAt: resource.expiresAt });
+        }
+        return resource;
+    }
+
+    /**
+     * Set a resource to expire ttlMs from now (capped at maxTtlMs)
+     *
+     * Unpins the resource, and the new TTL is also used for sliding renewal.
+     *
+     * @param {string} guid - The resource GUID
+     * @param {number} ttlMs - New time to live
+     * @returns {Promise<Object|null>} The updated resource or null if not found or expired
+     */
+    async setExpiration(guid, ttlMs) {
+        const cappedTtlMs = Math.min(ttlMs, this.#maxTtlMs);
+        const resource = await this.#update(guid, () => ({
+            ttlMs: cappedTtlMs,
+            pinned: false,
+            expiresAt: new Date(Date.now() + cappedTtlMs).toISOString()
+        }));
+        if (resource) {
+            this.#logger.debug('Set resource expiration', { guid, ttlMs: resource.ttlMs, expiresAt: resource.expiresAt });
+        }
+        return resource;
+    }
+
+    /**
+     * Change how a resource is labelled; omitted fields are left as they are
+     * @param {string} guid - The resource GUID
+     * @param {Object} labels - { name, description, tags } (null clears name or description)
+     * @returns {Promise<Object|null>} The updated resource or null if not found or expired
+     */
+    async describe(guid, labels) {
+        const updates = {};
+        if (labels.name !== undefined) {
+            updates.name = labels.name || null;
+        }
+        if (labels.description !== undefined) {
+            updates.description = labels.description || null;
         }
+        if (labels.tags !== undefined) {
+            updates.tags = normalizeTags(labels.tags);
+        }
+
+        const resource = await this.#update(guid, () => updates);
+        if (resource) {
+            this.#logger.debug('Relabelled resource', { guid, name: resource.name, tags: resource.tags });
+        }
+        return resource;
+    }
+
+    /**
+     * Record a share link minted for a resource (dropping its expired ones)
+     * @param {string} guid - The resource GUID
+     * @param {Object} share - Share record (see ShareLinks.create)
+     * @returns {Promise<Object|null>} The updated resource or null if not found or expired
+     */
+    async addShare(guid, share) {
+        const now = Date.now();
+        const resource = await this.#update(guid, (current) => ({
+            shares: [...(current.shares || []).filter(s => Date.parse(s.expiresAt) > now), share]
+        }));
+        if (resource) {
+            this.#logger.debug('Shared resource', { guid, shareId: share.id, expiresAt: share.expiresAt });
+        }
+        return resource;
+    }
 
-        return resource || null;
+    /**
+     * Revoke a share link: it stops working before it expires
+     * @param {string} guid - The resource GUID
+     * @param {string} shareId - The share's id
+     * @returns {Promise<Object|null>} The updated resource or null if not found or expired
+     */
+    async revokeShare(guid, shareId) {
+        const revokedAt = new Date().toISOString();
+        const resource = await this.#update(guid, (current) => ({
+            shares: (current.shares || []).map(s => (s.id === shareId && !s.revokedAt ? { ...s, revokedAt } : s))
+        }));
+        if (resource) {
+            this.#logger.debug('Revoked share', { guid, shareId });
+        }
+        return resource;
+    }
+
+    /**
+     * Materialize a resource: from now on it is served from these rows
+     * @param {string} guid - The resource GUID
+     * @param {Array} rows - Every row of the resource's query, captured now
+     * @returns {Promise<Object|null>} The updated resource or null if not found or expired
+     */
+    async snapshot(guid, rows) {
+        if (!await this.#find(guid)) {
+            return null;
+        }
+
+        await this.#store.saveRows(guid, rows);
+        const resource = await this.#store.update(guid, {
+            strategy: 'snapshot',
+            snapshotAt: new Date().toISOString(),
+            totalCount: rows.length,
+            error: null
+        });
+
+        if (resource) {
+            this.#logger.debug('Captured snapshot', { guid, rows: rows.length });
+            await this.#enforceLimits(guid);
+        } else {
+            // Removed while the rows were being saved; don't leave them behind
+            await this.#store.delete(guid);
+        }
+        return resource;
+    }
+
+    /**
+     * Read rows of a snapshot resource
+     * @param {string} guid - The resource GUID
+     * @param {Object} options - { offset, limit (null for all), sort: { field, order } }
+     * @returns {Promise<Array>} The rows
+     */
+    async getRows(guid, options = {}) {
+        return this.#store.getRows(guid, options);
+    }
+
+    /**
+     * Record the outcome of re-executing a resource's query
+     * @param {string} guid - The resource GUID
+     * @param {Object|null} error - { code, message } when it failed, null when it succeeded
+     */
+    async setError(guid, error) {
+        await this.#store.update(guid, {
+            error: error ? { code: error.code, message: error.message } : null
+        });
     }
 
     /**
      * Delete a resource
      * @param {string} guid - The resource GUID
-     * @returns {boolean} True if deleted, false if not found
+     * @returns {Promise<boolean>} True if deleted, false if not found
+     */
+    async delete(guid) {
+        const existed = await this.#remove(guid, 'deleted');
+
+        this.#logger.debug('Delete resource', { guid, deleted: existed });
+
+        return existed;
+    }
+
+    /**
+     * Remove every expired resource (runs on the cleanup interval)
+     * @returns {Promise<number>} Number of resources removed
+     */
+    async cleanup() {
+        let removed = 0;
+        for (const guid of await this.#store.findExpired(Date.now())) {
+            // Another process sharing the backend may have removed it first
+            if (await this.#remove(guid, 'expired')) {
+                removed++;
+            }
+        }
+
+        // Once per pass, not per removal; also picks up resources created or removed by other processes
+        await this.#refreshUsage();
+
+        if (removed > 0) {
+            this.#logger.info('Removed expired resources', { removed, remaining: this.#size });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Stop the background cleanup interval and close the backend
      */
-    delete(guid) {
-        const existed = this.#resources.has(guid);
-        this.#resources.delete(guid);
+    async shutdown() {
+        if (this.#cleanupTimer) {
+            clearInterval(this.#cleanupTimer);
+            this.#cleanupTimer = null;
+        }
+        await this.#store.close();
+    }
 
-        if (this.#debug) {
-            console.log('[ResourceStore] Delete resource:', guid, existed ? 'deleted' : 'not found');
+    // Live resource by GUID; an expired one is removed on the way
+    async #find(guid) {
+        const resource = await this.#store.get(guid);
+        if (!resource) {
+            return null;
         }
+        if (this.#isExpired(resource)) {
+            await this.#remove(guid, 'expired');
+            // Even if another process sharing the backend removed it first
+            this.#tombstones.set(guid, 'expired');
+            return null;
+        }
+        return resource;
+    }
+
+    // Apply updates computed from the resource as stored, if it's still live
+    async #update(guid, computeUpdates) {
+        const resource = await this.#find(guid);
+        return resource ? this.#store.update(guid, computeUpdates) : null;
+    }
+
+    #isExpired(resource) {
+        return resource.expiresAt !== null && Date.parse(resource.expiresAt) <= Date.now();
+    }
 
+    // Usage isn't re-read here (a full scan in SQLite): the count is adjusted,
+    // and the byte total catches up on the next cleanup pass or create
+    async #remove(guid, reason) {
+        const existed = await this.#store.delete(guid);
+        if (existed) {
+            this.#tombstones.set(guid, reason);
+            this.#removed.inc({ reason });
+            this.#size = Math.max(this.#size - 1, 0);
+        }
         return existed;
     }
 
+    async #refreshUsage() {
+        const { count, bytes } = await this.#store.usage();
+        this.#size = count;
+        this.#bytes = bytes;
+    }
+
+    // Evict least recently used unpinned resources until both caps hold again
+    async #enforceLimits(keepGuid) {
+        await this.#refreshUsage();
+
+        let count = this.#size;
+        let bytes = this.#bytes;
+        let evicted = 0;
+
+        while (count > this.#maxResources || bytes > this.#maxBytes) {
+            // Never the resource that was just created: its link is about to be handed out
+            const candidates = (await this.#store.findEvictable(EVICTION_BATCH + 1))
+                .filter(c => c.id !== keepGuid)
+                .slice(0, EVICTION_BATCH);
+            if (candidates.length === 0) {
+                this.#logger.warn('Resource store over its limits with nothing left to evict', {
+                    count, bytes, maxResources: this.#maxResources, maxBytes: this.#maxBytes
+                });
+                break;
+            }
+
+            const before = evicted;
+            for (const candidate of candidates) {
+                if (count <= this.#maxResources && bytes <= this.#maxBytes) {
+                    break;
+                }
+                if (await this.#store.delete(candidate.id)) {
+                    this.#tombstones.set(candidate.id, 'evicted');
+                    this.#removed.inc({ reason: 'evicted' });
+                    count--;
+                    bytes -= candidate.sizeBytes;
+                    evicted++;
+                }
+            }
+
+            // Another process sharing the backend got to them first; recount
+            if (evicted === before) {
+                await this.#refreshUsage();
+                count = this.#size;
+                bytes = this.#bytes;
+            }
+        }
+
+        if (evicted > 0) {
+            this.#evicted += evicted;
+            await this.#refreshUsage();
+            this.#logger.info('Evicted least recently used resources', {
+                evicted, remaining: this.#size, bytes: this.#bytes
+            });
+        }
+    }
+
     /**
-     * List all resources (for debugging)
-     * @returns {Array} Array of all resources
+     * Check whether a principal may access a resource
+     *
+     * Resources created anonymously (authentication disabled, stdio) are open
+     * to everyone; owned resources are never open to anonymous callers.
+     *
+     * @param {Object} resource - Resource from get()
+     * @param {Object|null} principal - The caller's verified principal
+     * @returns {boolean}
      */
-    list() {
-        return Array.from(this.#resources.values());
+    canAccess(resource, principal) {
+        const owner = resource.owner;
+        if (!owner) {
+            return true;
+        }
+        if (!principal) {
+            return false;
+        }
+        if (principal.subject === owner.subject) {
+            return true;
+        }
+        return this.#binding === 'tenant'
+            && owner.tenant !== null
+            && principal.tenant === owner.tenant;
+    }
+
+    /**
+     * List all live resources
+     * @returns {Promise<Array>} Array of all resources
+     */
+    async list() {
+        return (await this.#store.list()).filter(r => !this.#isExpired(r));
+    }
+
+    /**
+     * List the live resources a principal may read, newest first, a page at a time
+     *
+     * Filters combine: every given tag must be present, name matches as a
+     * case-insensitive substring, and createdAfter/createdBefore are exclusive
+     * bounds. Pass the last resource of a page as `after` to get the next one.
+     *
+     * @param {Object} principal - Caller (see canAccess)
+     * @param {Object} filter - Filter and page options
+     * @param {Array<string>} filter.tags - Tags every result must have
+     * @param {string} filter.name - Substring of the name
+     * @param {boolean} filter.pinned - Only pinned (true) or unpinned (false) resources
+     * @param {string} filter.createdAfter - ISO timestamp
+     * @param {string} filter.createdBefore - ISO timestamp
+     * @param {Object} filter.after - { createdAt, id } of the previous page's last resource
+     * @param {number} filter.limit - Page size (default: 50)
+     * @returns {Promise<{ resources: Array, hasMore: boolean }>}
+     */
+    async catalog(principal, filter = {}) {
+        const limit = filter.limit || DEFAULT_CATALOG_LIMIT;
+
+        // The backend filters (see canAccess for who may read what); one extra
+        // row tells whether there is another page
+        const matches = await this.#store.search({
+            readers: principal
+                ? { subject: principal.subject, tenant: this.#binding === 'tenant' ? principal.tenant || null : null }
+                : null,
+            tags: normalizeTags(filter.tags),
+            name: filter.name || undefined,
+            pinned: filter.pinned,
+            createdAfter: filter.createdAfter,
+            createdBefore: filter.createdBefore,
+            after: filter.after || null,
+            now: Date.now(),
+            limit: limit + 1
+        });
+
+        return {
+            resources: matches.slice(0, limit),
+            hasMore: matches.length > limit
+        };
     }
 
     /**
      * Get store statistics
-     * @returns {Object} Store stats
+     * @returns {Promise<Object>} Store stats
      */
-    stats() {
+    async stats() {
+        const resources = await this.list();
+        await this.#refreshUsage();
+
         return {
-            count: this.#resources.size,
-            resources: this.list().map(r => ({
+            count: resources.length,
+            bytes: this.#bytes,
+            limits: { maxResources: this.#maxResources, maxBytes: this.#maxBytes },
+            // Evicted by this process since it started
+            evicted: this.#evicted,
+            resources: resources.map(r => ({
                 id: r.id,
+                name: r.name,
                 totalCount: r.totalCount,
+                strategy: r.strategy,
                 accessCount: r.accessCount,
-                createdAt: r.createdAt
+                createdAt: r.createdAt,
+                expiresAt: r.expiresAt,
+                pinned: r.pinned
             }))
         };
     }
-
-    // NOTE: In production, add these methods:
-    //
-    // pin(guid) - Remove expiration from a resource
-    // cleanup() - Remove expired resources (call on interval)
-    // setExpiration(guid, ttlMs) - Update expiration time
 }
 
-module.exports = { ResourceStore };
+module.exports = { ResourceStore, LABEL_LIMITS, normalizeSql, fingerprintSql };
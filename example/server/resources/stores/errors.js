@@ -0,0 +1,18 @@
+/**
+ * Store errors - A resource backend failed (e.g. its SQLite file is locked,
+ * unreadable or full), as opposed to a bug or a bad request. Callers answer
+ * these as "unavailable, retry shortly".
+ */
+
+class StoreError extends Error {
+    /**
+     * @param {string} message - What failed
+     * @param {Error} cause - The backend's own error
+     */
+    constructor(message, cause) {
+        super(message, { cause });
+        this.name = 'StoreError';
+    }
+}
+
+module.exports = { StoreError };
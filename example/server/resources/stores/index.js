@@ -0,0 +1,81 @@
+const path = require('path');
+const { MemoryStore } = require('./memory');
+const { SqliteStore } = require('./sqlite');
+const { StoreError } = require('./errors');
+
+/**
+ * Resource store backends
+ *
+ * ResourceStore owns the lifecycle rules (TTL, pinning, token binding) and
+ * keeps resources in a backend implementing this async interface:
+ *
+ *   save(resource, rows)        -> resourceId; a snapshot's rows (optional) are saved
+ *                                  with it, so either both are stored or neither is
+ *   get(resourceId)             -> resource, or null
+ *   update(resourceId, updates) -> updated resource (shallow merge), or null; updates may be
+ *                                  a function (current) => updates, applied atomically
+ *   delete(resourceId)          -> true if it existed (its snapshot rows go with it)
+ *   saveRows(resourceId, rows)  -> store a snapshot's result rows (replacing any)
+ *   getRows(resourceId, { offset, limit, sort }) -> snapshot rows (limit null for all)
+ *   findExpired(now)            -> ids whose expiresAt is at or before now (epoch ms)
+ *   list()                      -> every resource
+ *   findByFingerprint(fingerprint) -> resources whose fingerprint (hash of their normalized SQL) matches
+ *   findEvictable(limit)        -> [{ id, sizeBytes }] of unpinned resources, least recently used first
+ *   search(filter)              -> up to filter.limit resources matching filter, newest first
+ *                                  (createdAt, then id, descending); see below
+ *   usage()                     -> { count, bytes }
+ *   close()                     -> release connections
+ *
+ * Pass update() a function when the new values depend on the current ones
+ * (counters, renewal from the stored TTL), so concurrent writers can't lose
+ * each other's changes. Resources are plain JSON-serializable objects and are
+ * returned as copies.
+ * Sizes are approximate: the length of a resource and its snapshot rows serialized as JSON.
+ * Failures of the storage itself (not bad input) are thrown as StoreError.
+ *
+ * search() filters (each optional except limit and now):
+ *   readers: { subject, tenant } - only resources without an owner, owned by this
+ *            subject, or (when tenant isn't null) owned within this tenant; null for
+ *            unowned resources only
+ *   tags: every one of these tags       name: case-insensitive substring of the name
+ *   pinned: true | false                createdAfter, createdBefore: exclusive ISO bounds
+ *   after: { createdAt, id } - only resources listed after this one
+ *   now: epoch ms; resources expired by then are left out
+ */
+
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '..', '..', 'resources.sqlite');
+
+/**
+ * Create a backend by type
+ * @param {Object} options - Configuration options
+ * @param {string} options.type - memory (default) | sqlite
+ * @param {string} options.file - SQLite file (default: resources.sqlite in the server directory)
+ * @returns {Object} Backend
+ */
+function createStore(options = {}) {
+    const type = options.type || 'memory';
+
+    switch (type) {
+        case 'memory':
+            return new MemoryStore();
+        case 'sqlite':
+            return new SqliteStore({ file: options.file || DEFAULT_SQLITE_FILE });
+        default:
+            throw new Error(`Unknown resource store type: ${type} (expected memory or sqlite)`);
+    }
+}
+
+/**
+ * Create the backend configured through environment variables
+ *
+ *   RESOURCE_STORE       - memory (default) | sqlite
+ *   RESOURCE_STORE_FILE  - SQLite file (default: resources.sqlite in the server directory)
+ *
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} Backend
+ */
+function storeFromEnv(env = process.env) {
+    return createStore({ type: env.RESOURCE_STORE, file: env.RESOURCE_STORE_FILE });
+}
+
+module.exports = { MemoryStore, SqliteStore, StoreError, createStore, storeFromEnv };
@@ -0,0 +1,184 @@
+// Same order as SQLite: NULL, then numbers, then text
+function compareValues(a, b) {
+    const rank = value => (value === null || value === undefined ? 0 : typeof value === 'number' ? 1 : 2);
+    if (rank(a) !== rank(b)) {
+        return rank(a) - rank(b);
+    }
+    if (rank(a) === 1) {
+        return a - b;
+    }
+    if (rank(a) === 2) {
+        return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+    }
+    return 0;
+}
+
+// Newest first; ties (same millisecond) broken by id so cursors are stable
+function newestFirst(a, b) {
+    return b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id);
+}
+
+// Whether a search's readers may see a resource (see resources/stores)
+function readable(resource, readers) {
+    const owner = resource.owner;
+    if (!owner) {
+        return true;
+    }
+    return readers !== null && (owner.subject === readers.subject
+        || (readers.tenant !== null && owner.tenant === readers.tenant));
+}
+
+function sizeOfRows(rows) {
+    return rows.reduce((total, row) => total + JSON.stringify(row).length, 0);
+}
+
+/**
+ * MemoryStore - Resource backend holding everything in a Map (the default)
+ *
+ * Lost on restart and private to one process. Resources are copied on the
+ * way in and out so it behaves like a persistent backend: a change only
+ * sticks once it goes through update(). Snapshot rows are kept as given and
+ * never modified, so pages are handed out without copying.
+ */
+class MemoryStore {
+    #resources;
+    #sizes;
+    #rows;
+    #rowSizes;
+
+    constructor() {
+        this.#resources = new Map();
+        // Serialized length per resource (and its rows), the same measure SqliteStore uses
+        this.#sizes = new Map();
+        this.#rows = new Map();
+        this.#rowSizes = new Map();
+    }
+
+    async save(resource, rows) {
+        // Measured first: rows that can't be serialized leave nothing behind
+        const size = JSON.stringify(resource).length;
+        const rowSize = rows ? sizeOfRows(rows) : 0;
+
+        this.#resources.set(resource.id, structuredClone(resource));
+        this.#sizes.set(resource.id, size);
+        if (rows) {
+            this.#rows.set(resource.id, rows);
+            this.#rowSizes.set(resource.id, rowSize);
+        }
+        return resource.id;
+    }
+
+    async get(resourceId) {
+        const resource = this.#resources.get(resourceId);
+        return resource ? structuredClone(resource) : null;
+    }
+
+    async update(resourceId, updates) {
+        const resource = this.#resources.get(resourceId);
+        if (!resource) {
+            return null;
+        }
+
+        const changes = typeof updates === 'function' ? updates(structuredClone(resource)) : updates;
+        Object.assign(resource, structuredClone(changes));
+        this.#sizes.set(resourceId, JSON.stringify(resource).length);
+        return structuredClone(resource);
+    }
+
+    async delete(resourceId) {
+        this.#sizes.delete(resourceId);
+        this.#rows.delete(resourceId);
+        this.#rowSizes.delete(resourceId);
+        return this.#resources.delete(resourceId);
+    }
+
+    async saveRows(resourceId, rows) {
+        const rowSize = sizeOfRows(rows);
+        this.#rows.set(resourceId, rows);
+        this.#rowSizes.set(resourceId, rowSize);
+    }
+
+    async getRows(resourceId, options = {}) {
+        let rows = this.#rows.get(resourceId) || [];
+
+        const sort = options.sort;
+        if (sort && sort.field) {
+            const direction = sort.order === 'desc' ? -1 : 1;
+            rows = rows
+                .map((row, index) => ({ row, index }))
+                .sort((a, b) => direction * compareValues(a.row[sort.field], b.row[sort.field]) || a.index - b.index)
+                .map(entry => entry.row);
+        }
+
+        const offset = options.offset || 0;
+        return options.limit === null || options.limit === undefined
+            ? rows.slice(offset)
+            : rows.slice(offset, offset + options.limit);
+    }
+
+    async findExpired(now = Date.now()) {
+        return Array.from(this.#resources.values())
+            .filter(r => r.expiresAt !== null && Date.parse(r.expiresAt) <= now)
+            .map(r => r.id);
+    }
+
+    async list() {
+        return Array.from(this.#resources.values(), r => structuredClone(r));
+    }
+
+    async findByFingerprint(fingerprint) {
+        return Array.from(this.#resources.values())
+            .filter(r => r.fingerprint === fingerprint)
+            .map(r => structuredClone(r));
+    }
+
+    async findEvictable(limit) {
+        const lastUsed = r => r.lastAccessedAt || r.createdAt;
+
+        return Array.from(this.#resources.values())
+            .filter(r => !r.pinned)
+            .sort((a, b) => lastUsed(a).localeCompare(lastUsed(b)))
+            .slice(0, limit)
+            .map(r => ({ id: r.id, sizeBytes: this.#sizeOf(r.id) }));
+    }
+
+    async search(filter) {
+        const name = filter.name ? filter.name.toLowerCase() : null;
+        const tags = filter.tags || [];
+        const after = filter.after || null;
+
+        return Array.from(this.#resources.values())
+            .filter(r => (r.expiresAt === null || Date.parse(r.expiresAt) > filter.now)
+                && readable(r, filter.readers)
+                && tags.every(tag => (r.tags || []).includes(tag))
+                && (!name || (r.name || '').toLowerCase().includes(name))
+                && (filter.pinned === undefined || r.pinned === filter.pinned)
+                && (!filter.createdAfter || r.createdAt > filter.createdAfter)
+                && (!filter.createdBefore || r.createdAt < filter.createdBefore)
+                && (!after || newestFirst(after, r) < 0))
+            .sort(newestFirst)
+            .slice(0, filter.limit)
+            .map(r => structuredClone(r));
+    }
+
+    async usage() {
+        let bytes = 0;
+        for (const resourceId of this.#resources.keys()) {
+            bytes += this.#sizeOf(resourceId);
+        }
+        return { count: this.#resources.size, bytes };
+    }
+
+    async close() {
+        this.#resources.clear();
+        this.#sizes.clear();
+        this.#rows.clear();
+        this.#rowSizes.clear();
+    }
+
+    #sizeOf(resourceId) {
+        return (this.#sizes.get(resourceId) || 0) + (this.#rowSizes.get(resourceId) || 0);
+    }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const { StoreError } = require('./errors');
+
+const DEFAULT_BUSY_TIMEOUT_MS = 5000;
+
+// The resource is kept as JSON; expires_at is copied out (epoch ms, NULL when
+// pinned) so findExpired() can use an index. Snapshot rows live in
+// resource_rows, one JSON object per result row in their original order.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS resources (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        expires_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS resources_expires_at ON resources (expires_at);
+    CREATE INDEX IF NOT EXISTS resources_fingerprint ON resources (json_extract(data, '$.fingerprint'));
+    CREATE INDEX IF NOT EXISTS resources_created_at ON resources (json_extract(data, '$.createdAt'), id);
+    CREATE TABLE IF NOT EXISTS resource_rows (
+        resource_id TEXT NOT NULL,
+        row_index INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (resource_id, row_index)
+    ) WITHOUT ROWID;
+`;
+
+// Size of a resource including its snapshot rows (see resources/stores)
+const SIZE = `length(r.data) + COALESCE((SELECT SUM(length(data)) FROM resource_rows WHERE resource_id = r.id), 0)`;
+
+function expiresAtMs(resource) {
+    return resource.expiresAt === null ? null : Date.parse(resource.expiresAt);
+}
+
+/**
+ * SqliteStore - Resource backend in a SQLite file
+ *
+ * Resources survive restarts, and several server processes can share one
+ * file: it runs in WAL mode so readers don't block the writer, writers wait
+ * up to busyTimeoutMs for each other, and update() is a read-modify-write
+ * inside an IMMEDIATE transaction so concurrent updates don't interleave.
+ */
+class SqliteStore {
+    #db;
+    #open;
+    #statements;
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.file - Database file (created, with its directory, if missing)
+     * @param {number} options.busyTimeoutMs - How long to wait for another process's write lock (default: 5000)
+     */
+    constructor(options = {}) {
+        if (!options.file) {
+            throw new Error('SqliteStore requires a file');
+        }
+
+        fs.mkdirSync(path.dirname(path.resolve(options.file)), { recursive: true });
+
+        this.#db = new DatabaseSync(options.file);
+        this.#open = true;
+        this.#db.exec(`PRAGMA busy_timeout = ${parseInt(options.busyTimeoutMs) || DEFAULT_BUSY_TIMEOUT_MS}`);
+        this.#db.exec('PRAGMA journal_mode = WAL');
+        this.#db.exec(SCHEMA);
+
+        this.#statements = {
+            insert: this.#db.prepare('INSERT INTO resources (id, data, expires_at) VALUES (?, ?, ?)'),
+            select: this.#db.prepare('SELECT data FROM resources WHERE id = ?'),
+            update: this.#db.prepare('UPDATE resources SET data = ?, expires_at = ? WHERE id = ?'),
+            delete: this.#db.prepare('DELETE FROM resources WHERE id = ?'),
+            deleteRows: this.#db.prepare('DELETE FROM resource_rows WHERE resource_id = ?'),
+            insertRow: this.#db.prepare('INSERT INTO resource_rows (resource_id, row_index, data) VALUES (?, ?, ?)'),
+            // LIMIT -1: all remaining rows
+            rows: this.#db.prepare('SELECT data FROM resource_rows WHERE resource_id = ? ORDER BY row_index LIMIT ? OFFSET ?'),
+            firstRow: this.#db.prepare('SELECT data FROM resource_rows WHERE resource_id = ? ORDER BY row_index LIMIT 1'),
+            sortedRows: {
+                asc: this.#db.prepare('SELECT data FROM resource_rows WHERE resource_id = ? ORDER BY json_extract(data, ?) ASC, row_index LIMIT ? OFFSET ?'),
+                desc: this.#db.prepare('SELECT data FROM resource_rows WHERE resource_id = ? ORDER BY json_extract(data, ?) DESC, row_index LIMIT ? OFFSET ?')
+            },
+            expired: this.#db.prepare('SELECT id FROM resources WHERE expires_at IS NOT NULL AND expires_at <= ?'),
+            all: this.#db.prepare('SELECT data FROM resources ORDER BY rowid'),
+            byFingerprint: this.#db.prepare(`SELECT data FROM resources WHERE json_extract(data, '$.fingerprint') = ?`),
+            // ISO timestamps sort chronologically as text
+            evictable: this.#db.prepare(`
+                SELECT r.id, ${SIZE} AS sizeBytes FROM resources r
+                WHERE json_extract(r.data, '$.pinned') = 0
+                ORDER BY COALESCE(json_extract(r.data, '$.lastAccessedAt'), json_extract(r.data, '$.createdAt'))
+                LIMIT ?`),
+            usage: this.#db.prepare(`
+                SELECT (SELECT COUNT(*) FROM resources) AS count,
+                       (SELECT COALESCE(SUM(length(data)), 0) FROM resources)
+                     + (SELECT COALESCE(SUM(length(data)), 0) FROM resource_rows) AS bytes`)
+        };
+    }
+
+    async save(resource, rows) {
+        this.#transaction(() => {
+            this.#statements.insert.run(resource.id, JSON.stringify(resource), expiresAtMs(resource));
+            if (rows) {
+                this.#insertRows(resource.id, rows);
+            }
+        });
+        return resource.id;
+    }
+
+    async get(resourceId) {
+        const row = this.#run(() => this.#statements.select.get(resourceId));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async update(resourceId, updates) {
+        return this.#transaction(() => {
+            const row = this.#statements.select.get(resourceId);
+            if (!row) {
+                return null;
+            }
+
+            const current = JSON.parse(row.data);
+            const resource = { ...current, ...(typeof updates === 'function' ? updates(current) : updates) };
+            this.#statements.update.run(JSON.stringify(resource), expiresAtMs(resource), resourceId);
+            return resource;
+        });
+    }
+
+    async delete(resourceId) {
+        return this.#transaction(() => {
+            this.#statements.deleteRows.run(resourceId);
+            return this.#statements.delete.run(resourceId).changes > 0;
+        });
+    }
+
+    async saveRows(resourceId, rows) {
+        this.#transaction(() => {
+            this.#statements.deleteRows.run(resourceId);
+            this.#insertRows(resourceId, rows);
+        });
+    }
+
+    async getRows(resourceId, options = {}) {
+        const limit = options.limit === null || options.limit === undefined ? -1 : options.limit;
+        const offset = options.offset || 0;
+        const sort = options.sort;
+
+        const rows = this.#run(() => {
+            const field = sort && sort.field ? this.#column(resourceId, String(sort.field)) : null;
+            return field
+                ? this.#statements.sortedRows[sort.order === 'desc' ? 'desc' : 'asc'].all(resourceId, `$."${field}"`, limit, offset)
+                : this.#statements.rows.all(resourceId, limit, offset);
+        });
+
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    async findExpired(now = Date.now()) {
+        return this.#run(() => this.#statements.expired.all(now)).map(row => row.id);
+    }
+
+    async list() {
+        return this.#run(() => this.#statements.all.all()).map(row => JSON.parse(row.data));
+    }
+
+    async findByFingerprint(fingerprint) {
+        return this.#run(() => this.#statements.byFingerprint.all(fingerprint)).map(row => JSON.parse(row.data));
+    }
+
+    async findEvictable(limit) {
+        return this.#run(() => this.#statements.evictable.all(limit)).map(row => ({ id: row.id, sizeBytes: row.sizeBytes }));
+    }
+
+    async search(filter) {
+        const conditions = ['(expires_at IS NULL OR expires_at > ?)'];
+        const params = [filter.now];
+        const where = (condition, ...values) => {
+            conditions.push(condition);
+            params.push(...values);
+        };
+
+        if (filter.readers) {
+            where(`(json_extract(data, '$.owner') IS NULL OR json_extract(data, '$.owner.subject') = ?
+                OR json_extract(data, '$.owner.tenant') = ?)`, filter.readers.subject, filter.readers.tenant);
+        } else {
+            where(`json_extract(data, '$.owner') IS NULL`);
+        }
+        if (filter.tags && filter.tags.length > 0) {
+            where(`NOT EXISTS (SELECT 1 FROM json_each(?) wanted
+                WHERE wanted.value NOT IN (SELECT value FROM json_each(data, '$.tags')))`, JSON.stringify(filter.tags));
+        }
+        if (filter.name) {
+            // lower() folds ASCII letters only
+            where(`instr(lower(json_extract(data, '$.name')), lower(?)) > 0`, filter.name);
+        }
+        if (filter.pinned !== undefined) {
+            where(`json_extract(data, '$.pinned') = ?`, filter.pinned ? 1 : 0);
+        }
+        if (filter.createdAfter) {
+            where(`json_extract(data, '$.createdAt') > ?`, filter.createdAfter);
+        }
+        if (filter.createdBefore) {
+            where(`json_extract(data, '$.createdAt') < ?`, filter.createdBefore);
+        }
+        if (filter.after) {
+            where(`(json_extract(data, '$.createdAt') < ? OR (json_extract(data, '$.createdAt') = ? AND id < ?))`,
+                filter.after.createdAt, filter.after.createdAt, filter.after.id);
+        }
+
+        const sql = `SELECT data FROM resources WHERE ${conditions.join(' AND ')}
+            ORDER BY json_extract(data, '$.createdAt') DESC, id DESC LIMIT ?`;
+        return this.#run(() => this.#db.prepare(sql).all(...params, filter.limit)).map(row => JSON.parse(row.data));
+    }
+
+    async usage() {
+        const { count, bytes } = this.#run(() => this.#statements.usage.get());
+        return { count, bytes };
+    }
+
+    async close() {
+        if (this.#open) {
+            this.#open = false;
+            this.#db.close();
+        }
+    }
+
+    // A sort field is used in a JSON path only if it names a column of the rows
+    // (JSON paths can't escape a double quote, so such names don't sort); an
+    // unknown field leaves the rows in order, as ORDER BY "field" does in SQL
+    #column(resourceId, field) {
+        const first = this.#statements.firstRow.get(resourceId);
+        if (!first || field.includes('"') || !Object.hasOwn(JSON.parse(first.data), field)) {
+            return null;
+        }
+        return field;
+    }
+
+    #insertRows(resourceId, rows) {
+        rows.forEach((row, index) => this.#statements.insertRow.run(resourceId, index, JSON.stringify(row)));
+    }
+
+    // SQLite's own failures (locked, unreadable or full file) become StoreErrors
+    #run(work) {
+        try {
+            return work();
+        } catch (error) {
+            if (error.code === 'ERR_SQLITE_ERROR') {
+                throw new StoreError(`Resource store failed: ${error.message}`, error);
+            }
+            throw error;
+        }
+    }
+
+    // IMMEDIATE takes the write lock up front, so another process can't write in between
+    #transaction(work) {
+        return this.#run(() => {
+            this.#db.exec('BEGIN IMMEDIATE');
+            try {
+                const result = work();
+                this.#db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                this.#db.exec('ROLLBACK');
+                throw error;
+            }
+        });
+    }
+}
+
+module.exports = { SqliteStore };
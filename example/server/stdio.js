@@ -3,35 +3,195 @@
 /**
  * MCP Server - stdio transport for Claude Desktop
  * This file is used by Claude Desktop to launch the MCP server via stdio
+ *
+ * Dual-response mode (default) stores full query results in a ResourceStore and
+ * serves them two ways: through MCP resources/read, and through a side HTTP
+ * listener for /resources on RESOURCES_PORT (set RESOURCES_HTTP=false to skip it).
  */
 
 require('dotenv').config();
-const { MCPServer, Toolbox } = require('./mcp');
+const path = require('path');
+const express = require('express');
+const { MCPServer, Toolbox, ResourceProvider, PromptLibrary, createLogger, createMetrics, METRICS_CONTENT_TYPE, corsOriginsFromEnv, corsPreflight } = require('./mcp');
 
-// Import tool factories
-const { datetime, datetime_converter } = require('./tools/datetime');
-const { tips, schema, query } = require('./tools/database');
+// Import prompt factories
+const { comparePeerInstitutions, programTrendReport } = require('./prompts/reports');
 
-// Create toolboxes
-const systemTools = new Toolbox([datetime, datetime_converter]);
-const dbTools = new Toolbox([tips, schema, query]);
+// Import resource store and router for dual-response
+const { ResourceStore } = require('./resources/store');
+const { storeFromEnv } = require('./resources/stores');
+const { createResourceRouter } = require('./resources/router');
+const { shareLinksFromEnv, isShareRequest } = require('./resources/share');
+const { queryResults, queryResultsPage } = require('./resources/provider');
+const { requireAuth, authenticatorsFromEnv } = require('./auth');
+
+// Configuration
+const DEBUG = process.env.DEBUG === 'true' || process.argv.includes('--debug');
+const USE_DUAL_RESPONSE = process.env.DUAL_RESPONSE !== 'false';
+const USE_RESOURCES_HTTP = USE_DUAL_RESPONSE && process.env.RESOURCES_HTTP !== 'false';
+const RESOURCES_PORT = process.env.RESOURCES_PORT || 3001;
+const WATCH_TOOLS = process.env.WATCH_TOOLS === 'true' || process.argv.includes('--watch-tools');
+
+// Same LOG_* settings as index.js, written to stderr: stdout carries the MCP protocol
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || (DEBUG ? 'debug' : 'info'),
+    format: process.env.LOG_FORMAT,
+    redactSql: process.env.LOG_REDACT_SQL !== 'false',
+    stream: process.stderr
+});
+const log = logger.child('Stdio');
+
+// Metrics registry, served at /metrics by the side HTTP listener
+const metrics = createMetrics();
+
+log.debug('Configuration', {
+    dualResponse: USE_DUAL_RESPONSE,
+    resourceStore: process.env.RESOURCE_STORE || 'memory',
+    resourcesHttp: USE_RESOURCES_HTTP ? RESOURCES_PORT : false,
+    shareLinks: Boolean(process.env.SHARE_LINK_SECRET),
+    watchTools: WATCH_TOOLS
+});
+
+// Create shared resource store for dual-response
+const resourceStore = new ResourceStore({
+    store: storeFromEnv(),
+    logger,
+    metrics,
+    binding: process.env.RESOURCE_BINDING,
+    ttlMs: parseInt(process.env.RESOURCE_TTL_MS) || undefined,
+    slidingRenewal: process.env.RESOURCE_SLIDING_TTL !== 'false',
+    cleanupIntervalMs: process.env.RESOURCE_CLEANUP_INTERVAL_MS ? parseInt(process.env.RESOURCE_CLEANUP_INTERVAL_MS) : undefined,
+    maxResources: parseInt(process.env.RESOURCE_MAX_COUNT) || undefined,
+    maxBytes: parseInt(process.env.RESOURCE_MAX_BYTES) || undefined,
+    strategy: process.env.RESOURCE_STRATEGY,
+    maxSnapshotRows: parseInt(process.env.RESOURCE_MAX_SNAPSHOT_ROWS) || undefined,
+    dedupe: process.env.RESOURCE_DEDUPE !== 'false'
+});
+
+// Dependencies shared by every request (same shape as index.js)
+const sharedContext = {
+    // Dual-response dependencies
+    resourceStore,
+    baseUrl: `http://localhost:${RESOURCES_PORT}`,
+    logger,
+    metrics
+};
+
+// Context provider function - injects dependencies into tools
+const contextProvider = async () => {
+    // One stdio connection per process, so one ID correlates the whole run
+    const requestId = Date.now().toString(36);
+
+    return {
+        ...sharedContext,
+        mode: 'stdio',
+        startTime: new Date().toISOString(),
+        requestId,
+        logger: logger.child({ requestId })
+    };
+};
+
+// Create toolboxes (tool modules are required here so hot-reload can call this again)
+function createToolboxes() {
+    const { datetime, datetime_converter } = require('./tools/datetime');
+    const { tips, schema, query } = require('./tools/database');
+    const { queryDualResponse } = require('./tools/database-dual-response');
+
+    const systemTools = new Toolbox([datetime, datetime_converter]);
+    const dbTools = new Toolbox([tips, schema, USE_DUAL_RESPONSE ? queryDualResponse : query]);
+
+    return [systemTools, dbTools];
+}
+
+// Expose dual-response results through MCP resources/read
+const resourceProviders = USE_DUAL_RESPONSE
+    ? [new ResourceProvider([queryResultsPage, queryResults])]
+    : [];
+
+// Reusable report prompts
+const reportPrompts = new PromptLibrary([comparePeerInstitutions, programTrendReport]);
 
 // Create MCP server with all toolboxes
 const mcpServer = new MCPServer(
-    [systemTools, dbTools],
+    createToolboxes(),
     {
         name: 'insights-mcp',
-        version: '1.0.0'
+        version: '1.0.0',
+        resources: resourceProviders,
+        prompts: reportPrompts,
+        logger,
+        metrics
     }
 );
 
-// Optional: Context provider function
-const contextProvider = async () => {
-    return {
-        mode: 'stdio',
-        startTime: new Date().toISOString()
-    };
-};
+/**
+ * Start the side HTTP listener serving /resources (and /metrics) for the resource links
+ * returned by the dual-response query tool. A busy port is not fatal: results
+ * stay reachable through MCP resource reads.
+ */
+function startResourcesListener() {
+    const app = express();
+    app.use(express.json());
+
+    // Same bearer authentication as index.js when API_KEYS_FILE / JWT_JWKS_FILE are set
+    const authenticators = authenticatorsFromEnv();
+    if (authenticators.length > 0) {
+        app.use('/resources', requireAuth(authenticators, { realm: 'insights-mcp', logger, metrics, allow: isShareRequest }));
+    }
+
+    app.use('/resources', createResourceRouter(resourceStore, {
+        debug: DEBUG,
+        logger,
+        metrics,
+        shareLinks: shareLinksFromEnv(),
+        baseUrl: sharedContext.baseUrl
+    }));
+
+    // CORS preflight for resources endpoint
+    app.options('/resources/*', corsPreflight(corsOriginsFromEnv(), {
+        methods: 'GET, POST, PUT, DELETE, OPTIONS',
+        headers: 'Content-Type, Authorization'
+    }));
+
+    // Prometheus scrape endpoint, unauthenticated like index.js's (counts and
+    // latencies only); the listener is bound to 127.0.0.1
+    app.get('/metrics', (req, res) => {
+        res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+    });
+
+    const listener = app.listen(RESOURCES_PORT, '127.0.0.1', () => {
+        log.info(`Resources endpoint: http://localhost:${RESOURCES_PORT}/resources/:guid`);
+    });
+    listener.on('error', (error) => {
+        log.warn('Resources HTTP listener unavailable; use MCP resources/read instead', { error });
+    });
+
+    // Don't keep the process alive once the stdio transport is gone
+    listener.unref();
+}
+
+// Start stdio server once every tool, resource and prompt definition checks out
+mcpServer.validate(sharedContext).then(() => {
+    if (USE_RESOURCES_HTTP) {
+        startResourcesListener();
+    }
+    if (WATCH_TOOLS) {
+        mcpServer.watchTools(path.join(__dirname, 'tools'), createToolboxes, {
+            onReload: (files) => log.info('Tool files changed, reloaded', { files })
+        });
+    }
+    return mcpServer.runStdio(contextProvider);
+}).catch((error) => {
+    log.error('Startup failed', { error: error.message });
+    process.exit(1);
+});
 
-// Start stdio server
-mcpServer.runStdio(contextProvider).catch(console.error);
+// Graceful shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        log.info('Shutting down', { signal });
+        await resourceStore.shutdown();
+        await mcpServer.close();
+        process.exit(0);
+    });
+}
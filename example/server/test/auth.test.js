@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { requireAuth, ApiKeyAuthenticator, JwtAuthenticator } = require('../auth');
+const { silentLogger, listen, tempDirectory } = require('./helpers');
+
+describe('requireAuth', () => {
+    let http;
+    let baseUrl;
+
+    before(async () => {
+        const authenticators = [new ApiKeyAuthenticator([
+            { key: 'key-alice', subject: 'alice', tenant: 'acme', scopes: ['resources:read'] }
+        ])];
+
+        const app = express();
+        app.use(requireAuth(authenticators, {
+            realm: 'test',
+            logger: silentLogger,
+            allow: (req) => req.query.open === '1'
+        }));
+        app.all('/', (req, res) => res.json({ principal: req.principal || null, auth: req.auth || null }));
+
+        http = await listen(app);
+        baseUrl = http.baseUrl;
+    });
+
+    after(() => http.close());
+
+    const request = (options = {}) => fetch(`${baseUrl}/${options.query || ''}`, {
+        method: options.method || 'GET',
+        headers: options.token ? { Authorization: options.token } : {}
+    });
+
+    it('challenges requests without a token', async () => {
+        const res = await request();
+
+        assert.equal(res.status, 401);
+        assert.equal(res.headers.get('www-authenticate'), 'Bearer realm="test"');
+        assert.equal((await res.json()).error, 'unauthorized');
+    });
+
+    it('rejects unknown tokens', async () => {
+        const res = await request({ token: 'Bearer key-mallory' });
+
+        assert.equal(res.status, 401);
+        assert.match(res.headers.get('www-authenticate'), /error="invalid_token"/);
+        assert.equal((await res.json()).error, 'invalid_token');
+    });
+
+    it('rejects malformed Authorization headers', async () => {
+        const res = await request({ token: 'Basic a2V5LWFsaWNl' });
+
+        assert.equal(res.status, 400);
+        assert.match(res.headers.get('www-authenticate'), /error="invalid_request"/);
+    });
+
+    it('sets the principal for a valid token', async () => {
+        const res = await request({ token: 'Bearer key-alice' });
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.principal.subject, 'alice');
+        assert.equal(body.principal.tenant, 'acme');
+        assert.equal(body.auth.clientId, 'alice');
+        assert.deepEqual(body.auth.scopes, ['resources:read']);
+    });
+
+    it('lets CORS preflight and allowed requests through unauthenticated', async () => {
+        assert.equal((await request({ method: 'OPTIONS' })).status, 200);
+
+        const res = await request({ query: '?open=1' });
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).principal, null);
+    });
+});
+
+describe('JwtAuthenticator', () => {
+    let directory;
+    let authenticator;
+    let privateKey;
+
+    const encode = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+    const sign = (header, claims) => {
+        const input = `${encode(header)}.${encode(claims)}`;
+        return `${input}.${crypto.sign(null, Buffer.from(input), privateKey).toString('base64url')}`;
+    };
+    const claims = () => ({ sub: 'alice', tenant: 'acme', exp: Math.floor(Date.now() / 1000) + 60 });
+
+    before(() => {
+        directory = tempDirectory('jwt');
+        const pair = crypto.generateKeyPairSync('ed25519');
+        privateKey = pair.privateKey;
+
+        const file = path.join(directory.path, 'jwks.json');
+        fs.writeFileSync(file, JSON.stringify({ keys: [{ ...pair.publicKey.export({ format: 'jwk' }), kid: 'k1' }] }));
+        authenticator = new JwtAuthenticator({ jwksFile: file });
+    });
+
+    after(() => directory.remove());
+
+    const rejected = (token, message) => assert.rejects(
+        authenticator.authenticate(token),
+        (error) => error.name === 'AuthError' && error.status === 401 && message.test(error.message)
+    );
+
+    it('maps the claims of a valid token to a principal', async () => {
+        const principal = await authenticator.authenticate(sign({ alg: 'EdDSA', kid: 'k1' }, claims()));
+
+        assert.equal(principal.subject, 'alice');
+        assert.equal(principal.tenant, 'acme');
+    });
+
+    it('rejects headers and payloads that are not JSON objects', async () => {
+        for (const header of ['null', '1', '[]', 'not json']) {
+            await rejected(`${encode(header)}.${encode(claims())}.c2ln`, /Malformed JWT header/);
+        }
+        await rejected(`${encode({ alg: 'EdDSA' })}.${encode('null')}.c2ln`, /Malformed JWT payload/);
+    });
+
+    it('rejects algorithms the key cannot verify', async () => {
+        await rejected(sign({ alg: 'RS256', kid: 'k1' }, claims()), /Invalid JWT signature/);
+        await rejected(sign({ alg: 'toString', kid: 'k1' }, claims()), /Unsupported JWT algorithm/);
+    });
+});
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../mcp/logger');
+
+/**
+ * Shared test helpers (not a test file: `npm test` only runs *.test.js)
+ *
+ * The suites need node:sqlite, which `npm test` enables with
+ * --experimental-sqlite (required before Node 22.13).
+ */
+
+// Keeps test output to the runner's own
+const silentLogger = createLogger({ level: 'silent' });
+
+/**
+ * Create a temporary directory
+ * @param {string} prefix - Directory name prefix
+ * @returns {{ path: string, remove: Function }} The directory and a function deleting it
+ */
+function tempDirectory(prefix) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+    return {
+        path: directory,
+        remove: () => fs.rmSync(directory, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Serve an Express app on an ephemeral localhost port
+ * @param {Object} app - Express app
+ * @returns {Promise<{ baseUrl: string, close: Function }>} Its URL and an async close()
+ */
+async function listen(app) {
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve, reject) => {
+        server.once('listening', resolve);
+        server.once('error', reject);
+    });
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+module.exports = { silentLogger, tempDirectory, listen };
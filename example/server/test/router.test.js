@@ -0,0 +1,293 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { ResourceStore } = require('../resources/store');
+const { MemoryStore, StoreError } = require('../resources/stores');
+const { createResourceRouter } = require('../resources/router');
+const { silentLogger, listen } = require('./helpers');
+
+// Fails every read with `failure` once it is set
+class FailingStore extends MemoryStore {
+    failure = null;
+
+    async get(resourceId) {
+        if (this.failure) {
+            throw this.failure;
+        }
+        return super.get(resourceId);
+    }
+}
+
+describe('Resource router access', () => {
+    let resourceStore;
+    let guid;
+    let http;
+
+    before(async () => {
+        resourceStore = new ResourceStore({ logger: silentLogger, cleanupIntervalMs: 0 });
+        guid = await resourceStore.create({
+            sql: 'SELECT n FROM numbers',
+            strategy: 'snapshot',
+            rows: [{ n: 1 }],
+            sample: [],
+            owner: { subject: 'alice', tenant: 'acme' }
+        });
+
+        const app = express();
+        app.use(express.json());
+        // Stands in for requireAuth: the caller names itself
+        app.use((req, res, next) => {
+            const subject = req.get('x-subject');
+            req.principal = subject ? { subject, tenant: 'acme' } : null;
+            next();
+        });
+        app.use('/resources', createResourceRouter(resourceStore, { logger: silentLogger }));
+        http = await listen(app);
+    });
+
+    after(async () => {
+        await http.close();
+        await resourceStore.shutdown();
+    });
+
+    const request = (subject, path = '', method = 'GET') => fetch(`${http.baseUrl}/resources/${guid}${path}`, {
+        method,
+        headers: subject ? { 'x-subject': subject } : {}
+    });
+
+    it('serves the owner', async () => {
+        const res = await request('alice');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual((await res.json()).data, [{ n: 1 }]);
+    });
+
+    it('refuses other principals without counting a fetch', async () => {
+        const before = await resourceStore.get(guid, { renew: false });
+        for (const [subject, path, method] of [['bob'], [null], ['bob', '/metadata'], ['bob', '', 'DELETE']]) {
+            const res = await request(subject, path, method);
+            assert.equal(res.status, 403);
+            assert.equal((await res.json()).error, 'forbidden');
+        }
+        const after = await resourceStore.get(guid, { renew: false });
+
+        assert.equal(after.accessCount, before.accessCount);
+        assert.equal(after.expiresAt, before.expiresAt);
+    });
+});
+
+describe('Resource router lifecycle', () => {
+    let resourceStore;
+    let http;
+
+    before(async () => {
+        resourceStore = new ResourceStore({ logger: silentLogger, cleanupIntervalMs: 0 });
+
+        const app = express();
+        app.use(express.json());
+        app.use('/resources', createResourceRouter(resourceStore, { logger: silentLogger }));
+        http = await listen(app);
+    });
+
+    after(async () => {
+        await http.close();
+        await resourceStore.shutdown();
+    });
+
+    const create = (ttlMs) => resourceStore.create({ sql: 'SELECT n FROM numbers', strategy: 'snapshot', rows: [{ n: 1 }], sample: [], ttlMs });
+    const request = async (guid, method = 'GET', body) => {
+        const res = await fetch(`${http.baseUrl}/resources/${guid}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: res.status, body: res.status === 204 ? null : await res.json() };
+    };
+
+    it('pins, unpins and extends a resource', async () => {
+        const guid = await create();
+
+        let { status, body } = await request(guid, 'PUT', {});
+        assert.equal(status, 200);
+        assert.equal(body.status, 'pinned');
+        assert.equal(body.expires_at, null);
+
+        ({ body } = await request(guid, 'PUT', { pinned: false }));
+        assert.equal(body.status, 'ready');
+        assert.ok(Date.parse(body.expires_at) > Date.now());
+
+        ({ body } = await request(guid, 'PUT', { ttl_seconds: 120 }));
+        assert.equal(body.ttl_seconds, 120);
+        assert.equal(body.pinned, false);
+    });
+
+    it('rejects a TTL that is not a positive integer', async () => {
+        const guid = await create();
+
+        for (const ttl of [0, -5, 1.5, '60']) {
+            const { status, body } = await request(guid, 'PUT', { ttl_seconds: ttl });
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_request');
+        }
+    });
+
+    it('answers 410 once a resource expired and 404 once it was deleted', async () => {
+        const expiring = await create(1);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        let { status, body } = await request(expiring);
+        assert.equal(status, 410);
+        assert.equal(body.error, 'expired');
+
+        const deleted = await create();
+        assert.equal((await request(deleted, 'DELETE')).status, 204);
+        ({ status, body } = await request(deleted));
+        assert.equal(status, 404);
+        assert.equal(body.error, 'not_found');
+    });
+});
+
+describe('Resource router lineage', () => {
+    let resourceStore;
+    let http;
+
+    before(async () => {
+        resourceStore = new ResourceStore({ logger: silentLogger, cleanupIntervalMs: 0 });
+
+        const app = express();
+        app.use('/resources', createResourceRouter(resourceStore, { logger: silentLogger }));
+        http = await listen(app);
+    });
+
+    after(async () => {
+        await http.close();
+        await resourceStore.shutdown();
+    });
+
+    it('lists each step with whether it can still be fetched', async () => {
+        const root = await resourceStore.create({ sql: 'SELECT 1', totalCount: 1, sample: [] });
+        const parent = await resourceStore.get(root, { renew: false });
+        const child = await resourceStore.create({ sql: 'SELECT 1, 2', totalCount: 1, sample: [], parent });
+        await resourceStore.delete(root);
+
+        const res = await fetch(`${http.baseUrl}/resources/${child}/lineage`);
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.depth, 2);
+        assert.deepEqual(body.lineage.map(step => [step.id, step.parent_id, step.sql, step.status]), [
+            [root, null, 'SELECT 1', 'deleted'],
+            [child, root, 'SELECT 1, 2', 'ready']
+        ]);
+    });
+});
+
+describe('Resource router catalog', () => {
+    let resourceStore;
+    let http;
+    const ids = [];
+
+    before(async () => {
+        resourceStore = new ResourceStore({ logger: silentLogger, cleanupIntervalMs: 0 });
+        for (const [name, tags] of [['NJ enrollment', ['nj']], ['NY enrollment', ['ny']], ['NJ tuition', ['nj']]]) {
+            ids.push(await resourceStore.create({ sql: `SELECT '${name}'`, totalCount: 1, sample: [], name, tags }));
+        }
+
+        const app = express();
+        app.use('/resources', createResourceRouter(resourceStore, { logger: silentLogger }));
+        http = await listen(app);
+    });
+
+    after(async () => {
+        await http.close();
+        await resourceStore.shutdown();
+    });
+
+    const list = async (query) => {
+        const res = await fetch(`${http.baseUrl}/resources/?${query}`);
+        return { status: res.status, body: await res.json() };
+    };
+
+    it('filters by tag and name', async () => {
+        const { status, body } = await list('tag=NJ&name=enroll');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.resources.map(r => r.name), ['NJ enrollment']);
+    });
+
+    it('pages with next_cursor until it is null', async () => {
+        const seen = [];
+        let query = 'limit=2';
+        for (;;) {
+            const { body } = await list(query);
+            seen.push(...body.resources.map(r => r.id));
+            if (!body.next_cursor) {
+                break;
+            }
+            query = `limit=2&cursor=${encodeURIComponent(body.next_cursor)}`;
+        }
+
+        assert.deepEqual(seen.sort(), [...ids].sort());
+    });
+
+    it('rejects bad parameters', async () => {
+        for (const query of ['limit=0', 'limit=1000', 'pinned=yes', 'created_after=soon', 'cursor=garbage']) {
+            const { status, body } = await list(query);
+            assert.equal(status, 400, query);
+            assert.equal(body.error, 'invalid_request');
+        }
+    });
+});
+
+describe('Resource router errors', () => {
+    let backend;
+    let resourceStore;
+    let guid;
+    let http;
+
+    before(async () => {
+        backend = new FailingStore();
+        resourceStore = new ResourceStore({ store: backend, logger: silentLogger, cleanupIntervalMs: 0 });
+        guid = await resourceStore.create({ sql: 'SELECT n FROM numbers', strategy: 'snapshot', rows: [{ n: 1 }], sample: [] });
+
+        const app = express();
+        app.use(express.json());
+        app.use('/resources', createResourceRouter(resourceStore, { logger: silentLogger }));
+        http = await listen(app);
+    });
+
+    after(async () => {
+        await http.close();
+        await resourceStore.shutdown();
+    });
+
+    const fetchResource = async () => {
+        const res = await fetch(`${http.baseUrl}/resources/${guid}`);
+        return { status: res.status, body: await res.json() };
+    };
+
+    it('answers 503 when the store fails', async () => {
+        backend.failure = new StoreError('Resource store failed: database is locked', new Error('database is locked'));
+        const { status, body } = await fetchResource();
+        backend.failure = null;
+
+        assert.equal(status, 503);
+        assert.equal(body.error, 'storage_error');
+    });
+
+    it('answers 500 for anything else', async () => {
+        backend.failure = new TypeError('Cannot read properties of undefined');
+        const { status, body } = await fetchResource();
+        backend.failure = null;
+
+        assert.equal(status, 500);
+        assert.equal(body.error, 'internal_error');
+        assert.equal(body.message, 'Internal server error');
+    });
+
+    it('serves the resource once the store recovers', async () => {
+        const { status, body } = await fetchResource();
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data, [{ n: 1 }]);
+    });
+});
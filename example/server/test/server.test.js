@@ -0,0 +1,290 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { z } = require('zod');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { ToolListChangedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { MCPServer, Toolbox, PromptLibrary } = require('../mcp');
+const { silentLogger, listen } = require('./helpers');
+
+const echoTool = (overrides = {}) => () => ({
+    name: 'echo',
+    description: 'Echo the text back',
+    schema: { text: z.string() },
+    handler: async ({ text }) => ({ content: [{ type: 'text', text }] }),
+    ...overrides
+});
+
+// Mount an endpoint the way index.js does; stateful endpoints take GET and DELETE too
+async function serve(mcpServer, contextProvider, options = {}) {
+    const app = express();
+    app.use(express.json());
+    app.all('/mcp', mcpServer.streamingEndpoint(contextProvider, options));
+    const http = await listen(app);
+    return { ...http, url: new URL(`${http.baseUrl}/mcp`) };
+}
+
+async function connect(url, headers = {}) {
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(url, { requestInit: { headers } });
+    await client.connect(transport);
+    return { client, transport };
+}
+
+const postJson = (url, body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: JSON.stringify(body)
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('MCPServer.validate', () => {
+    it('counts the definitions it loaded', async () => {
+        const server = new MCPServer(new Toolbox([echoTool()]), { logger: silentLogger });
+
+        assert.deepEqual(await server.validate({}), { tools: 1, resources: 0, prompts: 0 });
+    });
+
+    it('checks definitions the context cannot see', async () => {
+        const server = new MCPServer(
+            new Toolbox([echoTool({ name: 'admin echo', visibility: { roles: ['admin'] } })]),
+            {
+                logger: silentLogger,
+                prompts: new PromptLibrary([() => ({ name: 'acme', visibility: { tenants: ['acme'] } })])
+            }
+        );
+
+        await assert.rejects(server.validate({ roles: [] }), (error) => {
+            assert.match(error.message, /tool "admin echo": name must be/);
+            assert.match(error.message, /prompt "acme"/);
+            return true;
+        });
+    });
+});
+
+describe('MCPServer stateful sessions', () => {
+    let mcpServer;
+    let http;
+    let contexts;
+
+    before(async () => {
+        contexts = 0;
+        mcpServer = new MCPServer(new Toolbox([echoTool({
+            handler: async ({ text }, extra) => `${text} from ${extra.context.user} (${extra.sessionId})`
+        })]), { logger: silentLogger });
+        http = await serve(mcpServer, async (req) => ({ user: req.get('x-user'), request: ++contexts }), {
+            stateful: true,
+            sessionOwner: (req) => req.get('x-user')
+        });
+    });
+
+    after(async () => {
+        await mcpServer.close();
+        await http.close();
+    });
+
+    it('builds the context once per session and ends the session on DELETE', async () => {
+        const before = contexts;
+        const { client, transport } = await connect(http.url, { 'x-user': 'alice' });
+        assert.equal(mcpServer.sessionCount, 1);
+
+        for (const text of ['one', 'two']) {
+            const result = await client.callTool({ name: 'echo', arguments: { text } });
+            assert.equal(result.content[0].text, `${text} from alice (${transport.sessionId})`);
+        }
+        assert.equal(contexts, before + 1);
+
+        await transport.terminateSession();
+        assert.equal(mcpServer.sessionCount, 0);
+        await client.close();
+    });
+
+    it('refuses requests without a session, for unknown ones and from another principal', async () => {
+        const ping = { jsonrpc: '2.0', id: 1, method: 'ping' };
+        assert.equal((await postJson(http.url, ping)).status, 400);
+        assert.equal((await postJson(http.url, ping, { 'mcp-session-id': 'no-such-session' })).status, 404);
+
+        const { client, transport } = await connect(http.url, { 'x-user': 'alice' });
+        const res = await postJson(http.url, ping, { 'mcp-session-id': transport.sessionId, 'x-user': 'mallory' });
+        assert.equal(res.status, 403);
+
+        await client.close();
+    });
+
+    it('closes every session on close()', async () => {
+        const sessions = [await connect(http.url, { 'x-user': 'alice' }), await connect(http.url, { 'x-user': 'bob' })];
+        assert.ok(mcpServer.sessionCount >= 2);
+
+        await mcpServer.close();
+        assert.equal(mcpServer.sessionCount, 0);
+        await Promise.all(sessions.map(({ client }) => client.close()));
+    });
+});
+
+describe('MCPServer session eviction', () => {
+    it('closes sessions idle past the timeout', async () => {
+        const mcpServer = new MCPServer(new Toolbox([echoTool()]), { logger: silentLogger });
+        const http = await serve(mcpServer, null, { stateful: true, sessionIdleTimeoutMs: 20 });
+
+        try {
+            const { client, transport } = await connect(http.url);
+            assert.equal(mcpServer.sessionCount, 1);
+            await sleep(100);
+
+            assert.equal(mcpServer.sessionCount, 0);
+            const res = await postJson(http.url, { jsonrpc: '2.0', id: 1, method: 'ping' }, { 'mcp-session-id': transport.sessionId });
+            assert.equal(res.status, 404);
+            await client.close();
+        } finally {
+            await mcpServer.close();
+            await http.close();
+        }
+    });
+});
+
+describe('MCPServer tool timeouts', () => {
+    let mcpServer;
+    let http;
+    let client;
+    let aborted;
+
+    // Waits until its signal aborts, then records why
+    const waitTool = (name, timeout) => () => ({
+        name,
+        description: 'Wait until aborted',
+        schema: {},
+        timeout,
+        handler: (args, extra) => new Promise(resolve => {
+            extra.signal.addEventListener('abort', () => {
+                aborted.push(name);
+                resolve('aborted');
+            });
+        })
+    });
+
+    before(async () => {
+        aborted = [];
+        mcpServer = new MCPServer(new Toolbox([waitTool('own', 20), waitTool('default')]), {
+            logger: silentLogger,
+            toolTimeout: 40
+        });
+        http = await serve(mcpServer);
+        ({ client } = await connect(http.url));
+    });
+
+    after(async () => {
+        await client.close();
+        await http.close();
+    });
+
+    it('answers a structured TIMEOUT error and aborts the handler', async () => {
+        for (const [name, timeout] of [['own', 20], ['default', 40]]) {
+            const result = await client.callTool({ name, arguments: {} });
+
+            assert.equal(result.isError, true);
+            assert.equal(result.structuredContent.error.code, 'TIMEOUT');
+            assert.equal(result.structuredContent.error.details.timeout_ms, timeout);
+        }
+        assert.deepEqual(aborted, ['own', 'default']);
+    });
+});
+
+describe('MCPServer server cache', () => {
+    let mcpServer;
+    let http;
+    let builds;
+
+    before(async () => {
+        builds = [];
+        const whoami = (context) => {
+            builds.push(context.tenant);
+            return {
+                name: 'whoami',
+                description: 'Name the caller',
+                schema: {},
+                handler: async (args, extra) => `${extra.context.user}@${extra.context.tenant}`
+            };
+        };
+        mcpServer = new MCPServer(new Toolbox([whoami]), {
+            logger: silentLogger,
+            contextKey: (context) => context.tenant
+        });
+        http = await serve(mcpServer, async (req) => ({ user: req.get('x-user'), tenant: req.get('x-tenant') }));
+    });
+
+    after(() => http.close());
+
+    // One request per call (a client's initialize would take a server of its own);
+    // servers go back to the pool once their response closes
+    const whoami = async (user, tenant) => {
+        const res = await postJson(
+            http.url,
+            { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'whoami', arguments: {} } },
+            { 'x-user': user, 'x-tenant': tenant }
+        );
+        const { result } = await res.json();
+        await sleep(20);
+        return result.content[0].text;
+    };
+
+    it('reuses servers built for the same key with each request\'s context', async () => {
+        assert.equal(await whoami('alice', 'acme'), 'alice@acme');
+        assert.equal(await whoami('bob', 'acme'), 'bob@acme');
+        assert.deepEqual(builds, ['acme']);
+
+        assert.equal(await whoami('carol', 'globex'), 'carol@globex');
+        assert.deepEqual(builds, ['acme', 'globex']);
+    });
+
+    it('builds again once the tools change', async () => {
+        const before = builds.length;
+        await mcpServer.addToolbox(new Toolbox([]));
+
+        assert.equal(await whoami('alice', 'acme'), 'alice@acme');
+        assert.equal(builds.length, before + 1);
+    });
+});
+
+describe('MCPServer tools/list_changed', () => {
+    let mcpServer;
+    let http;
+
+    before(async () => {
+        mcpServer = new MCPServer(new Toolbox([echoTool()]), { logger: silentLogger });
+        http = await serve(mcpServer, null, { stateful: true });
+    });
+
+    after(async () => {
+        await mcpServer.close();
+        await http.close();
+    });
+
+    it('tells connected sessions once per change and lists the new tools', async () => {
+        const { client } = await connect(http.url);
+        let notified = 0;
+        client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+            notified++;
+        });
+        // Let the client open its notification stream
+        await sleep(50);
+
+        const added = new Toolbox([echoTool({ name: 'shout' }), echoTool({ name: 'whisper' })]);
+        await mcpServer.addToolbox(added);
+        await sleep(50);
+
+        assert.equal(notified, 1);
+        assert.deepEqual((await client.listTools()).tools.map(t => t.name).sort(), ['echo', 'shout', 'whisper']);
+
+        await mcpServer.removeToolbox(added);
+        await sleep(50);
+
+        assert.equal(notified, 2);
+        assert.deepEqual((await client.listTools()).tools.map(t => t.name), ['echo']);
+        const result = await client.callTool({ name: 'shout', arguments: { text: 'hi' } });
+        assert.equal(result.structuredContent.error.code, 'NOT_FOUND');
+
+        await client.close();
+    });
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { ShareLinks, toCsv } = require('../resources/share');
+const { ResourceStore } = require('../resources/store');
+const { createResourceRouter } = require('../resources/router');
+const { silentLogger, listen } = require('./helpers');
+
+const SECRET = 'test-secret-0123456789';
+const GUID = '6f1c2a34-0000-4000-8000-000000000001';
+
+// The query string of a share link as Express would parse it
+function parse(query) {
+    return Object.fromEntries(new URLSearchParams(query));
+}
+
+describe('toCsv', () => {
+    it('quotes separators, quotes and line breaks', () => {
+        assert.equal(
+            toCsv([{ name: 'Smith, J', note: 'said "hi"\nbye', n: 1 }, { name: null }]),
+            'name,note,n\r\n"Smith, J","said ""hi""\nbye",1\r\n,,\r\n'
+        );
+    });
+
+    it('defuses text a spreadsheet would run as a formula', () => {
+        const rows = [{ a: '=HYPERLINK("http://evil")', b: '+1', c: '-x', d: '@SUM(A1)', e: -5, f: 'a=b' }];
+
+        assert.equal(toCsv(rows).split('\r\n')[1], `"'=HYPERLINK(""http://evil"")",'+1,'-x,'@SUM(A1),-5,a=b`);
+    });
+});
+
+describe('ShareLinks', () => {
+    const shareLinks = new ShareLinks({ secret: SECRET });
+
+    it('refuses short secrets', () => {
+        assert.throws(() => new ShareLinks({ secret: 'short' }), /at least 16 characters/);
+        assert.throws(() => new ShareLinks({}), /at least 16 characters/);
+    });
+
+    it('verifies the links it signs', () => {
+        const share = shareLinks.create({ format: 'csv', rows: 5 });
+        const link = shareLinks.verify(GUID, parse(shareLinks.query(GUID, share)));
+
+        assert.deepEqual(link, { valid: true, expired: false, id: share.id, format: 'csv', rows: 5 });
+    });
+
+    it('leaves rows out of uncapped links', () => {
+        const share = shareLinks.create();
+        const query = parse(shareLinks.query(GUID, share));
+
+        assert.equal(query.rows, undefined);
+        assert.equal(shareLinks.verify(GUID, query).rows, null);
+    });
+
+    it('rejects links with any signed field changed', () => {
+        const share = shareLinks.create({ format: 'csv', rows: 5 });
+        const query = parse(shareLinks.query(GUID, share));
+        const tampered = {
+            share: 'another-share',
+            expires: String(Number(query.expires) + 3600),
+            format: 'json',
+            rows: '500'
+        };
+
+        for (const [field, value] of Object.entries(tampered)) {
+            assert.equal(shareLinks.verify(GUID, { ...query, [field]: value }).valid, false, field);
+        }
+
+        const { rows, ...uncapped } = query;
+        assert.equal(shareLinks.verify(GUID, uncapped).valid, false, 'rows removed');
+    });
+
+    it('rejects links for another resource, with another secret or without a signature', () => {
+        const share = shareLinks.create();
+        const query = parse(shareLinks.query(GUID, share));
+
+        assert.equal(shareLinks.verify('6f1c2a34-0000-4000-8000-000000000002', query).valid, false);
+        assert.equal(new ShareLinks({ secret: `${SECRET}-other` }).verify(GUID, query).valid, false);
+        assert.equal(shareLinks.verify(GUID, { ...query, sig: query.sig.slice(0, -1) }).valid, false);
+        assert.equal(shareLinks.verify(GUID, { ...query, sig: '' }).valid, false);
+    });
+
+    it('reports expired links as valid but expired', () => {
+        const past = new Date(Math.floor(Date.now() / 1000) * 1000 - 1000).toISOString();
+        const share = { ...shareLinks.create(), expiresAt: past };
+        const link = shareLinks.verify(GUID, parse(shareLinks.query(GUID, share)));
+
+        assert.equal(link.valid, true);
+        assert.equal(link.expired, true);
+    });
+
+    it('caps link lifetimes at maxTtlMs', () => {
+        const capped = new ShareLinks({ secret: SECRET, maxTtlMs: 60 * 1000 });
+        const share = capped.create({ ttlMs: 24 * 60 * 60 * 1000 });
+
+        assert.ok(Date.parse(share.expiresAt) <= Date.now() + 60 * 1000);
+    });
+});
+
+describe('Share links on the resource router', () => {
+    let resourceStore;
+    let http;
+    let baseUrl;
+    let guid;
+
+    before(async () => {
+        resourceStore = new ResourceStore({ logger: silentLogger, cleanupIntervalMs: 0 });
+        // A snapshot serves its stored rows, so no insights database is needed
+        guid = await resourceStore.create({
+            sql: 'SELECT n FROM numbers',
+            strategy: 'snapshot',
+            rows: [{ n: 1 }, { n: 2 }, { n: 3 }],
+            sample: [{ n: 1 }]
+        });
+
+        const app = express();
+        app.use(express.json());
+        app.use('/resources', createResourceRouter(resourceStore, {
+            logger: silentLogger,
+            shareLinks: new ShareLinks({ secret: SECRET })
+        }));
+
+        http = await listen(app);
+        baseUrl = http.baseUrl;
+    });
+
+    after(async () => {
+        await http.close();
+        await resourceStore.shutdown();
+    });
+
+    const mint = async (body = {}) => {
+        const res = await fetch(`${baseUrl}/resources/${guid}/shares`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        assert.equal(res.status, 201);
+        const share = await res.json();
+        return { ...share, path: `/resources/${guid}?${new URL(share.url).searchParams}` };
+    };
+
+    it('serves a shared resource with the link\'s row cap', async () => {
+        const share = await mint({ rows: 2 });
+        const res = await fetch(baseUrl + share.path);
+
+        assert.equal(res.status, 200);
+        assert.deepEqual((await res.json()).data, [{ n: 1 }, { n: 2 }]);
+    });
+
+    it('refuses a tampered link', async () => {
+        const share = await mint({ rows: 2 });
+        const res = await fetch(baseUrl + share.path.replace('rows=2', 'rows=3'));
+
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).error, 'invalid_share');
+    });
+
+    it('refuses a revoked link without renewing the resource', async () => {
+        const share = await mint();
+        assert.equal((await fetch(baseUrl + share.path)).status, 200);
+
+        const revoke = await fetch(`${baseUrl}/resources/${guid}/shares/${share.id}`, { method: 'DELETE' });
+        assert.equal(revoke.status, 204);
+
+        const before = await resourceStore.get(guid, { renew: false });
+        const res = await fetch(baseUrl + share.path);
+        const after = await resourceStore.get(guid, { renew: false });
+
+        assert.equal(res.status, 410);
+        assert.equal((await res.json()).error, 'share_revoked');
+        assert.equal(after.accessCount, before.accessCount);
+        assert.equal(after.expiresAt, before.expiresAt);
+    });
+});
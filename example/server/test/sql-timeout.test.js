@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const { allWithDeadline, withQueryWorker } = require('../tools/sql-timeout');
+const { tempDirectory } = require('./helpers');
+
+// Millions of generated rows: far longer than any deadline below
+const SLOW_COUNT = `WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n WHERE x < 5000000)
+    SELECT COUNT(*) AS count FROM n`;
+
+describe('allWithDeadline and withQueryWorker', () => {
+    let directory;
+    let file;
+
+    before(() => {
+        directory = tempDirectory('sql-timeout');
+        file = path.join(directory.path, 'test.sqlite');
+
+        const database = new DatabaseSync(file);
+        database.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+        const insert = database.prepare('INSERT INTO items (name) VALUES (?)');
+        for (const name of ['a', 'b', 'c', 'd']) {
+            insert.run(name);
+        }
+        database.close();
+    });
+
+    after(() => {
+        directory.remove();
+    });
+
+    it('runs SQL exactly as written', async () => {
+        assert.deepEqual(await allWithDeadline(file, 'SELECT 1 AS a -- one row'), [{ a: 1 }]);
+        assert.deepEqual(await allWithDeadline(file, 'SELECT 1 AS a; -- done'), [{ a: 1 }]);
+        const columns = await allWithDeadline(file, "PRAGMA table_info('items')");
+        assert.deepEqual(columns.map(c => c.name), ['id', 'name']);
+    });
+
+    it('counts and limits rows', async () => {
+        const sql = 'SELECT name FROM items ORDER BY id; -- all of them';
+        assert.deepEqual(await allWithDeadline(file, sql, {}, { count: true }), [{ count: 4 }]);
+        assert.deepEqual(await allWithDeadline(file, sql, {}, { limit: 2 }), [{ name: 'a' }, { name: 'b' }]);
+        // Not a subquery: counted by stepping through its rows
+        assert.deepEqual(await allWithDeadline(file, "PRAGMA table_info('items')", {}, { count: true }), [{ count: 2 }]);
+    });
+
+    it('runs several queries in one worker', async () => {
+        const sql = 'SELECT name FROM items ORDER BY id';
+        const [count, sample] = await withQueryWorker(file, {}, async (query) => [
+            await query(sql, { count: true }),
+            await query(sql, { limit: 1 })
+        ]);
+        assert.deepEqual(count, [{ count: 4 }]);
+        assert.deepEqual(sample, [{ name: 'a' }]);
+    });
+
+    it('rejects queries started after the deadline', async () => {
+        await assert.rejects(withQueryWorker(file, { deadline: Date.now() + 100 }, async (query) => {
+            await query('SELECT 1');
+            await new Promise(resolve => setTimeout(resolve, 150));
+            return query('SELECT 2');
+        }), { code: 'TIMEOUT' });
+    });
+
+    it('opens the database read-only', async () => {
+        await assert.rejects(allWithDeadline(file, "INSERT INTO items (name) VALUES ('e')"), /readonly/);
+    });
+
+    it('reports SQLite errors', async () => {
+        await assert.rejects(allWithDeadline(file, 'SELECT nme FROM items'), /no such column: nme/);
+    });
+
+    it('stops at the deadline, even inside an aggregate', async () => {
+        const started = Date.now();
+        await assert.rejects(allWithDeadline(file, SLOW_COUNT, { deadline: started + 100 }), { code: 'TIMEOUT' });
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    it('stops when the signal aborts', async () => {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+        await assert.rejects(
+            allWithDeadline(file, SLOW_COUNT, { signal: controller.signal }),
+            (error) => error.code === 'TIMEOUT' && error.details.cancelled === true
+        );
+    });
+});
@@ -0,0 +1,190 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const { SqliteStore, StoreError } = require('../resources/stores');
+const { tempDirectory } = require('./helpers');
+
+function resource(id, fields = {}) {
+    return {
+        id,
+        sql: `SELECT ${id}`,
+        fingerprint: `fp-${id}`,
+        totalCount: 1,
+        pinned: false,
+        accessCount: 0,
+        createdAt: '2026-01-01T00:00:00.000Z',
+        lastAccessedAt: null,
+        expiresAt: '2099-01-01T00:00:00.000Z',
+        ...fields
+    };
+}
+
+describe('SqliteStore', () => {
+    let directory;
+    let file;
+    let store;
+
+    beforeEach(() => {
+        directory = tempDirectory('sqlite-store');
+        file = path.join(directory.path, 'nested', 'resources.sqlite');
+        store = new SqliteStore({ file });
+    });
+
+    afterEach(async () => {
+        await store.close();
+        directory.remove();
+    });
+
+    it('creates the file and its directory', () => {
+        assert.ok(fs.existsSync(file));
+    });
+
+    it('saves, reads and deletes resources', async () => {
+        await store.save(resource('a'));
+
+        assert.deepEqual(await store.get('a'), resource('a'));
+        assert.equal(await store.get('missing'), null);
+        assert.equal(await store.delete('a'), true);
+        assert.equal(await store.delete('a'), false);
+        assert.equal(await store.get('a'), null);
+    });
+
+    it('keeps resources across reopening the file', async () => {
+        await store.save(resource('a'));
+        await store.close();
+
+        store = new SqliteStore({ file });
+        assert.equal((await store.get('a')).sql, 'SELECT a');
+    });
+
+    it('merges updates and returns null for unknown ids', async () => {
+        await store.save(resource('a'));
+
+        const updated = await store.update('a', { pinned: true, expiresAt: null });
+        assert.equal(updated.pinned, true);
+        assert.equal(updated.sql, 'SELECT a');
+        assert.deepEqual(await store.get('a'), updated);
+        assert.equal(await store.update('missing', { pinned: true }), null);
+    });
+
+    it('applies function updates to the stored resource', async () => {
+        await store.save(resource('a'));
+
+        for (let i = 0; i < 3; i++) {
+            await store.update('a', (current) => ({ accessCount: current.accessCount + 1 }));
+        }
+        assert.equal((await store.get('a')).accessCount, 3);
+    });
+
+    it('sees updates made through another connection', async () => {
+        await store.save(resource('a'));
+        const other = new SqliteStore({ file });
+        try {
+            await other.update('a', (current) => ({ accessCount: current.accessCount + 1 }));
+            await store.update('a', (current) => ({ accessCount: current.accessCount + 1 }));
+        } finally {
+            await other.close();
+        }
+        assert.equal((await store.get('a')).accessCount, 2);
+    });
+
+    it('finds expired resources by their expiry', async () => {
+        await store.save(resource('old', { expiresAt: '2020-01-01T00:00:00.000Z' }));
+        await store.save(resource('new'));
+        await store.save(resource('pinned', { pinned: true, expiresAt: null }));
+
+        assert.deepEqual(await store.findExpired(Date.parse('2026-01-01T00:00:00.000Z')), ['old']);
+    });
+
+    it('finds resources by fingerprint', async () => {
+        await store.save(resource('a', { fingerprint: 'same' }));
+        await store.save(resource('b', { fingerprint: 'same' }));
+        await store.save(resource('c'));
+
+        const ids = (await store.findByFingerprint('same')).map(r => r.id).sort();
+        assert.deepEqual(ids, ['a', 'b']);
+    });
+
+    it('lists unpinned resources least recently used first for eviction', async () => {
+        await store.save(resource('recent', { lastAccessedAt: '2026-03-01T00:00:00.000Z' }));
+        await store.save(resource('stale', { lastAccessedAt: '2026-02-01T00:00:00.000Z' }));
+        await store.save(resource('never'));
+        await store.save(resource('pinned', { pinned: true, expiresAt: null }));
+
+        const candidates = await store.findEvictable(10);
+        assert.deepEqual(candidates.map(c => c.id), ['never', 'stale', 'recent']);
+        assert.ok(candidates.every(c => c.sizeBytes > 0));
+    });
+
+    it('stores snapshot rows with paging and sorting', async () => {
+        await store.save(resource('a'));
+        await store.saveRows('a', [{ n: 2, name: 'b' }, { n: 1, name: 'a' }, { n: 3, name: 'c' }]);
+
+        assert.deepEqual(await store.getRows('a', { offset: 1, limit: 1 }), [{ n: 1, name: 'a' }]);
+        assert.deepEqual((await store.getRows('a', { limit: null, sort: { field: 'n', order: 'desc' } })).map(r => r.n), [3, 2, 1]);
+
+        await store.saveRows('a', [{ n: 9 }]);
+        assert.deepEqual(await store.getRows('a'), [{ n: 9 }]);
+    });
+
+    it('sorts snapshot rows only by their own columns', async () => {
+        await store.save(resource('a'), [{ 'a.b': 2, 'q"': 1 }, { 'a.b': 1, 'q"': 2 }]);
+
+        assert.deepEqual((await store.getRows('a', { sort: { field: 'a.b' } })).map(r => r['a.b']), [1, 2]);
+        assert.deepEqual((await store.getRows('a', { sort: { field: 'q"' } })).map(r => r['a.b']), [2, 1]);
+        assert.deepEqual((await store.getRows('a', { sort: { field: 'missing', order: 'desc' } })).map(r => r['a.b']), [2, 1]);
+    });
+
+    it('can be closed more than once', async () => {
+        await store.close();
+        await store.close();
+    });
+
+    it('saves a resource with its snapshot rows, or neither', async () => {
+        await store.save(resource('a'), [{ n: 1 }, { n: 2 }]);
+        assert.deepEqual(await store.getRows('a'), [{ n: 1 }, { n: 2 }]);
+
+        // A BigInt can't be serialized, so the second row fails
+        await assert.rejects(store.save(resource('b'), [{ n: 1 }, { n: 2n }]), TypeError);
+        assert.equal(await store.get('b'), null);
+        assert.deepEqual(await store.getRows('b'), []);
+    });
+
+    it('reports a file locked by another connection as a StoreError', async () => {
+        await store.close();
+        store = new SqliteStore({ file, busyTimeoutMs: 10 });
+        const other = new DatabaseSync(file);
+        other.exec('BEGIN EXCLUSIVE');
+
+        try {
+            await assert.rejects(store.save(resource('a')), (error) => error instanceof StoreError && /locked/.test(error.message));
+        } finally {
+            other.exec('ROLLBACK');
+            other.close();
+        }
+        await store.save(resource('a'));
+        assert.equal((await store.get('a')).id, 'a');
+    });
+
+    it('drops snapshot rows with their resource', async () => {
+        await store.save(resource('a'));
+        await store.saveRows('a', [{ n: 1 }]);
+        await store.delete('a');
+
+        assert.deepEqual(await store.getRows('a'), []);
+        assert.deepEqual(await store.usage(), { count: 0, bytes: 0 });
+    });
+
+    it('reports usage including snapshot rows', async () => {
+        await store.save(resource('a'));
+        const before = await store.usage();
+        await store.saveRows('a', [{ n: 1 }, { n: 2 }]);
+        const after = await store.usage();
+
+        assert.equal(before.count, 1);
+        assert.ok(before.bytes > 0);
+        assert.ok(after.bytes > before.bytes);
+    });
+});
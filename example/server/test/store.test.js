@@ -0,0 +1,513 @@
+const { describe, it, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ResourceStore, normalizeSql, fingerprintSql } = require('../resources/store');
+const { trimSql, subquerySql } = require('../resources/sql');
+const { MemoryStore, SqliteStore } = require('../resources/stores');
+const { silentLogger, tempDirectory } = require('./helpers');
+
+// Cleanup runs on access only, so tests decide when time has passed
+const newStore = (options = {}) => new ResourceStore({ logger: silentLogger, cleanupIntervalMs: 0, ...options });
+
+const ALICE = { subject: 'alice', tenant: 'acme' };
+const BOB = { subject: 'bob', tenant: 'acme' };
+const CAROL = { subject: 'carol', tenant: 'globex' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('SQL fingerprints', () => {
+    it('collapses whitespace and lowercases keywords and identifiers', () => {
+        assert.equal(normalizeSql('  SELECT  Name\n\tFROM   Institutions  '), 'select name from institutions');
+    });
+
+    it('drops comments and trailing semicolons', () => {
+        assert.equal(normalizeSql('SELECT name -- the name\nFROM institutions /* all */;  '), 'select name from institutions');
+        assert.equal(normalizeSql('SELECT 1; -- done'), 'select 1');
+    });
+
+    it('keeps string literals and quoted identifiers verbatim', () => {
+        assert.equal(
+            normalizeSql(`SELECT "Mixed Case" FROM t WHERE name LIKE '%Ramapo  -- College%'`),
+            `select "Mixed Case" from t where name like '%Ramapo  -- College%'`
+        );
+        assert.equal(normalizeSql(`SELECT 'It''s  here'`), `select 'It''s  here'`);
+    });
+
+    it('fingerprints queries that differ only in layout alike', () => {
+        assert.equal(
+            fingerprintSql('SELECT name FROM institutions'),
+            fingerprintSql('select name\n  from institutions; -- again')
+        );
+        assert.match(fingerprintSql('SELECT 1'), /^[0-9a-f]{64}$/);
+    });
+
+    it('tells queries with different literals apart', () => {
+        assert.notEqual(
+            fingerprintSql(`SELECT * FROM institutions WHERE state = 'NJ'`),
+            fingerprintSql(`SELECT * FROM institutions WHERE state = 'nj'`)
+        );
+        assert.notEqual(fingerprintSql('SELECT 1'), fingerprintSql('SELECT 2'));
+    });
+});
+
+describe('SQL subqueries', () => {
+    it('trims trailing comments and semicolons, not ones inside literals', () => {
+        assert.equal(trimSql('SELECT 1; -- done\n/* really */ ;'), 'SELECT 1');
+        assert.equal(trimSql(`SELECT ';' AS x -- end`), `SELECT ';' AS x`);
+        assert.equal(trimSql(`SELECT "a--b" FROM t`), `SELECT "a--b" FROM t`);
+    });
+
+    it('wraps SELECT, WITH and VALUES statements only', () => {
+        assert.equal(subquerySql('-- names\nSELECT name FROM t;'), '-- names\nSELECT name FROM t');
+        assert.equal(subquerySql('WITH a AS (SELECT 1) SELECT * FROM a'), 'WITH a AS (SELECT 1) SELECT * FROM a');
+        assert.equal(subquerySql('VALUES (1), (2)'), 'VALUES (1), (2)');
+        assert.equal(subquerySql("PRAGMA table_info('t')"), null);
+        assert.equal(subquerySql('SELECT 1; SELECT 2'), null);
+    });
+});
+
+describe('ResourceStore deduplication', () => {
+    let store;
+
+    beforeEach(() => {
+        store = newStore();
+    });
+
+    afterEach(() => store.shutdown());
+
+    const create = (sql, owner, options = {}) => store.create({ sql, totalCount: 1, sample: [{ n: 1 }], owner, ...options });
+
+    it('reuses the owner\'s live resource for the same SQL and counts a fetch', async () => {
+        const guid = await create('SELECT n FROM numbers', ALICE);
+
+        const reused = await store.findReusable({ sql: 'select n\n  from numbers; -- again', owner: ALICE });
+        assert.equal(reused.id, guid);
+        assert.equal(reused.accessCount, 1);
+    });
+
+    it('does not reuse across owners, SQL, failures or expiry', async () => {
+        await create('SELECT n FROM numbers', ALICE);
+        assert.equal(await store.findReusable({ sql: 'SELECT n FROM numbers', owner: BOB }), null);
+        assert.equal(await store.findReusable({ sql: 'SELECT n FROM numbers', owner: null }), null);
+        assert.equal(await store.findReusable({ sql: 'SELECT n FROM numbers WHERE n > 1', owner: ALICE }), null);
+
+        const failed = await create('SELECT 1', ALICE);
+        await store.setError(failed, { code: 'SQL_ERROR', message: 'failed' });
+        assert.equal(await store.findReusable({ sql: 'SELECT 1', owner: ALICE }), null);
+
+        await create('SELECT 2', ALICE, { ttlMs: 1 });
+        await sleep(5);
+        assert.equal(await store.findReusable({ sql: 'SELECT 2', owner: ALICE }), null);
+    });
+
+    it('can be turned off', async () => {
+        await store.shutdown();
+        store = newStore({ dedupe: false });
+        await create('SELECT 1', ALICE);
+
+        assert.equal(await store.findReusable({ sql: 'SELECT 1', owner: ALICE }), null);
+    });
+});
+
+describe('ResourceStore access', () => {
+    const subjectStore = newStore();
+    const tenantStore = newStore({ binding: 'tenant' });
+
+    after(async () => {
+        await subjectStore.shutdown();
+        await tenantStore.shutdown();
+    });
+
+    const owned = { owner: { subject: 'alice', tenant: 'acme' } };
+
+    it('lets only the owner read a resource by default', () => {
+        assert.equal(subjectStore.canAccess(owned, ALICE), true);
+        assert.equal(subjectStore.canAccess(owned, BOB), false);
+        assert.equal(subjectStore.canAccess(owned, null), false);
+    });
+
+    it('lets the owner\'s tenant read it with tenant binding', () => {
+        assert.equal(tenantStore.canAccess(owned, BOB), true);
+        assert.equal(tenantStore.canAccess(owned, CAROL), false);
+        assert.equal(tenantStore.canAccess({ owner: { subject: 'alice', tenant: null } }, { subject: 'bob', tenant: null }), false);
+    });
+
+    it('opens anonymous resources to everyone', () => {
+        assert.equal(subjectStore.canAccess({ owner: null }, CAROL), true);
+        assert.equal(subjectStore.canAccess({ owner: null }, null), true);
+    });
+
+    it('keeps only the subject and tenant of the creating principal', async () => {
+        const guid = await subjectStore.create({
+            sql: 'SELECT 1', totalCount: 1, sample: [], owner: { ...ALICE, roles: ['admin'], claims: {} }
+        });
+
+        assert.deepEqual((await subjectStore.get(guid, { renew: false })).owner, ALICE);
+    });
+});
+
+describe('ResourceStore expiry', () => {
+    let store;
+
+    afterEach(() => store.shutdown());
+
+    const create = (options = {}) => store.create({ sql: 'SELECT 1', totalCount: 1, sample: [], ...options });
+
+    it('renews the TTL on every fetch', async () => {
+        store = newStore({ ttlMs: 60 * 1000 });
+        const guid = await create();
+        const created = await store.get(guid, { renew: false });
+        await sleep(5);
+
+        const fetched = await store.get(guid);
+        assert.equal(fetched.accessCount, 1);
+        assert.ok(fetched.expiresAt > created.expiresAt);
+
+        // Lookups that aren't fetches leave it alone
+        const looked = await store.get(guid, { renew: false });
+        assert.equal(looked.accessCount, 1);
+        assert.equal(looked.expiresAt, fetched.expiresAt);
+    });
+
+    it('keeps the expiry when sliding renewal is off', async () => {
+        store = newStore({ slidingRenewal: false });
+        const guid = await create();
+        const { expiresAt } = await store.get(guid, { renew: false });
+        await sleep(5);
+
+        const fetched = await store.get(guid);
+        assert.equal(fetched.accessCount, 1);
+        assert.equal(fetched.expiresAt, expiresAt);
+    });
+
+    it('caps per-resource TTLs at maxTtlMs', async () => {
+        store = newStore({ ttlMs: 1000, maxTtlMs: 5000 });
+
+        assert.equal((await store.get(await create(), { renew: false })).ttlMs, 1000);
+        assert.equal((await store.get(await create({ ttlMs: 60 * 1000 }), { renew: false })).ttlMs, 5000);
+        assert.equal((await store.setExpiration(await create(), 60 * 1000)).ttlMs, 5000);
+    });
+
+    it('reports expired resources as expired, not missing', async () => {
+        store = newStore();
+        const guid = await create({ ttlMs: 1 });
+        await sleep(5);
+
+        assert.equal(await store.get(guid), null);
+        assert.equal(await store.status(guid), 'expired');
+        assert.equal(await store.status('never-created'), 'not_found');
+
+        const deleted = await create();
+        assert.equal(await store.status(deleted), 'ready');
+        assert.equal(await store.delete(deleted), true);
+        assert.equal(await store.status(deleted), 'deleted');
+        assert.equal(await store.delete(deleted), false);
+    });
+
+    it('reports a failed re-execution until a fetch succeeds', async () => {
+        store = newStore();
+        const guid = await create();
+
+        await store.setError(guid, { code: 'SQL_ERROR', message: 'no such table: numbers' });
+        assert.equal(await store.status(guid), 'failed');
+        await store.setError(guid, null);
+        assert.equal(await store.status(guid), 'ready');
+    });
+
+    it('removes expired resources on cleanup', async () => {
+        store = newStore();
+        const expiring = await create({ ttlMs: 1 });
+        const live = await create();
+        await sleep(5);
+
+        assert.equal(await store.cleanup(), 1);
+        assert.deepEqual((await store.list()).map(r => r.id), [live]);
+        assert.equal(await store.status(expiring), 'expired');
+        assert.equal(await store.cleanup(), 0);
+    });
+
+    it('cleans up on its own interval', async () => {
+        const backend = new MemoryStore();
+        store = newStore({ store: backend, cleanupIntervalMs: 10 });
+        const guid = await create({ ttlMs: 1 });
+        await sleep(50);
+
+        // Gone from the backend without anyone asking for it
+        assert.equal(await backend.get(guid), null);
+        assert.equal(await store.status(guid), 'expired');
+    });
+});
+
+describe('ResourceStore pinning', () => {
+    let store;
+
+    beforeEach(() => {
+        store = newStore();
+    });
+
+    afterEach(() => store.shutdown());
+
+    it('keeps a pinned resource past its TTL until unpinned', async () => {
+        const guid = await store.create({ sql: 'SELECT 1', totalCount: 1, sample: [], ttlMs: 20 });
+
+        const pinned = await store.pin(guid);
+        assert.equal(pinned.pinned, true);
+        assert.equal(pinned.expiresAt, null);
+        await sleep(30);
+
+        // Fetching a pinned resource doesn't give it an expiry back
+        assert.equal((await store.get(guid)).expiresAt, null);
+        assert.equal(await store.status(guid), 'pinned');
+        assert.equal(await store.cleanup(), 0);
+
+        const unpinned = await store.unpin(guid);
+        assert.equal(unpinned.pinned, false);
+        assert.ok(Date.parse(unpinned.expiresAt) > Date.now());
+        await sleep(30);
+        assert.equal(await store.status(guid), 'expired');
+    });
+
+    it('unpins when given a new expiry', async () => {
+        const guid = await store.create({ sql: 'SELECT 1', totalCount: 1, sample: [] });
+        await store.pin(guid);
+
+        const resource = await store.setExpiration(guid, 60 * 1000);
+        assert.equal(resource.pinned, false);
+        assert.equal(resource.ttlMs, 60 * 1000);
+        assert.equal(await store.status(guid), 'ready');
+    });
+
+    it('does nothing for missing resources', async () => {
+        assert.equal(await store.pin('missing'), null);
+        assert.equal(await store.unpin('missing'), null);
+        assert.equal(await store.setExpiration('missing', 1000), null);
+    });
+});
+
+describe('ResourceStore eviction', () => {
+    let store;
+
+    afterEach(() => store.shutdown());
+
+    const create = (key, options = {}) => store.create({ sql: `SELECT '${key}'`, totalCount: 1, sample: [], ...options });
+    const live = async () => (await store.list()).map(r => r.id).sort();
+
+    it('evicts the least recently used resource past maxResources', async () => {
+        store = newStore({ maxResources: 2 });
+        const a = await create('a');
+        await sleep(2);
+        const b = await create('b');
+        await sleep(2);
+        await store.get(a);
+        await sleep(2);
+        const c = await create('c');
+
+        assert.deepEqual(await live(), [a, c].sort());
+        assert.equal(await store.status(b), 'evicted');
+        assert.equal((await store.stats()).evicted, 1);
+    });
+
+    it('evicts past maxBytes', async () => {
+        store = newStore({ maxBytes: 4000 });
+        const rows = [{ text: 'x'.repeat(1000) }];
+        const a = await create('a', { strategy: 'snapshot', rows });
+        await sleep(2);
+        const b = await create('b', { strategy: 'snapshot', rows });
+        await sleep(2);
+        const c = await create('c', { strategy: 'snapshot', rows });
+
+        assert.deepEqual(await live(), [b, c].sort());
+        assert.equal(await store.status(a), 'evicted');
+        assert.ok((await store.stats()).bytes <= 4000);
+    });
+
+    it('never evicts pinned resources or the one just created', async () => {
+        store = newStore({ maxResources: 1 });
+        const a = await create('a');
+        await store.pin(a);
+        const b = await create('b');
+
+        assert.deepEqual(await live(), [a, b].sort());
+        assert.equal((await store.stats()).evicted, 0);
+    });
+});
+
+describe('ResourceStore lineage', () => {
+    let store;
+
+    beforeEach(() => {
+        store = newStore();
+    });
+
+    afterEach(() => store.shutdown());
+
+    const refine = async (sql, parent) => store.get(
+        await store.create({ sql, totalCount: sql.length, sample: [], parent, sessionId: 'session-1' }),
+        { renew: false }
+    );
+
+    it('records the chain of refinements, oldest first', async () => {
+        const root = await refine('SELECT * FROM institutions');
+        const child = await refine('SELECT * FROM institutions WHERE state = \'NJ\'', root);
+        const grandchild = await refine('SELECT name FROM institutions WHERE state = \'NJ\' ORDER BY name', child);
+
+        assert.equal(grandchild.parentId, child.id);
+        const lineage = store.lineage(grandchild);
+        assert.deepEqual(lineage.map(step => step.id), [root.id, child.id, grandchild.id]);
+        assert.deepEqual(lineage.map(step => step.parentId), [null, root.id, child.id]);
+        assert.equal(lineage[0].sql, root.sql);
+        assert.equal(lineage[1].totalCount, child.totalCount);
+        assert.equal(lineage[2].sessionId, 'session-1');
+    });
+
+    it('keeps ancestors readable after they are removed', async () => {
+        const root = await refine('SELECT 1');
+        const child = await refine('SELECT 1, 2', root);
+        await store.delete(root.id);
+
+        const lineage = store.lineage(await store.get(child.id, { renew: false }));
+        assert.equal(lineage[0].sql, 'SELECT 1');
+        assert.equal(await store.status(lineage[0].id), 'deleted');
+    });
+
+    it('starts a new chain without a parent', async () => {
+        const resource = await refine('SELECT 1');
+
+        assert.equal(resource.parentId, null);
+        assert.deepEqual(store.lineage(resource).map(step => step.id), [resource.id]);
+    });
+});
+
+describe('ResourceStore snapshots', () => {
+    let store;
+
+    beforeEach(() => {
+        store = newStore();
+    });
+
+    afterEach(() => store.shutdown());
+
+    it('serves a snapshot from its rows, counted from the rows', async () => {
+        const guid = await store.create({
+            sql: 'SELECT n FROM numbers',
+            strategy: 'snapshot',
+            totalCount: 99,
+            rows: [{ n: 2 }, { n: 1 }, { n: 3 }],
+            sample: [{ n: 2 }]
+        });
+        const resource = await store.get(guid, { renew: false });
+
+        assert.equal(resource.strategy, 'snapshot');
+        assert.equal(resource.totalCount, 3);
+        assert.ok(resource.snapshotAt);
+        assert.deepEqual(await store.getRows(guid, { offset: 1, limit: 1 }), [{ n: 1 }]);
+        assert.deepEqual((await store.getRows(guid, { sort: { field: 'n', order: 'desc' } })).map(r => r.n), [3, 2, 1]);
+    });
+
+    it('keeps results over maxSnapshotRows as queries', () => {
+        store = newStore({ maxSnapshotRows: 2 });
+
+        assert.equal(store.strategyFor('snapshot', 2), 'snapshot');
+        assert.equal(store.strategyFor('snapshot', 3), 'query');
+        assert.equal(store.strategyFor(undefined, 1), 'query');
+    });
+
+    it('leaves nothing behind when the rows cannot be saved', async () => {
+        const sql = 'SELECT n FROM numbers';
+        await assert.rejects(store.create({ sql, strategy: 'snapshot', rows: [{ n: 1n }], sample: [] }), TypeError);
+
+        assert.equal(await store.findReusable({ sql, owner: null }), null);
+        assert.deepEqual(await store.list(), []);
+    });
+
+    it('materializes a query resource', async () => {
+        const guid = await store.create({ sql: 'SELECT n FROM numbers', totalCount: 5, sample: [] });
+        const resource = await store.snapshot(guid, [{ n: 1 }, { n: 2 }]);
+
+        assert.equal(resource.strategy, 'snapshot');
+        assert.equal(resource.totalCount, 2);
+        assert.deepEqual(await store.getRows(guid), [{ n: 1 }, { n: 2 }]);
+        assert.equal(await store.snapshot('missing', []), null);
+    });
+});
+
+for (const backend of ['memory', 'sqlite']) {
+    describe(`ResourceStore catalog (${backend} backend)`, () => {
+        let directory;
+        let store;
+        const ids = {};
+
+        beforeEach(async () => {
+            directory = tempDirectory('catalog');
+            store = newStore({
+                binding: 'tenant',
+                store: backend === 'sqlite' ? new SqliteStore({ file: path.join(directory.path, 'resources.sqlite') }) : undefined
+            });
+
+            const create = (key, owner, labels) => store.create({ sql: `SELECT '${key}'`, totalCount: 1, sample: [], owner, ...labels })
+                .then(guid => { ids[key] = guid; });
+            await create('alice', ALICE, { name: 'NJ Enrollment', tags: ['NJ', 'enrollment'] });
+            await create('bob', BOB, { name: 'NY enrollment', tags: ['ny', 'enrollment'] });
+            await create('carol', CAROL, { name: 'NJ enrollment', tags: ['nj', 'enrollment'] });
+            await create('open', null, { name: 'Everyone', tags: ['nj'] });
+        });
+
+        afterEach(async () => {
+            await store.shutdown();
+            directory.remove();
+        });
+
+        const listed = async (principal, filter) => (await store.catalog(principal, filter)).resources.map(r => r.id).sort();
+        const keys = (...names) => names.map(name => ids[name]).sort();
+
+        it('lists what the principal may read', async () => {
+            assert.deepEqual(await listed(ALICE), keys('alice', 'bob', 'open'));
+            assert.deepEqual(await listed(CAROL), keys('carol', 'open'));
+            assert.deepEqual(await listed(null), keys('open'));
+        });
+
+        it('filters by every tag, name, pinned and creation time', async () => {
+            assert.deepEqual(await listed(ALICE, { tags: ['nj', 'Enrollment'] }), keys('alice'));
+            assert.deepEqual(await listed(ALICE, { tags: ['nj'] }), keys('alice', 'open'));
+            assert.deepEqual(await listed(ALICE, { name: 'enroll' }), keys('alice', 'bob'));
+
+            await store.pin(ids.bob);
+            assert.deepEqual(await listed(ALICE, { pinned: true }), keys('bob'));
+            assert.deepEqual(await listed(ALICE, { pinned: false }), keys('alice', 'open'));
+
+            const { createdAt } = await store.get(ids.open, { renew: false });
+            assert.deepEqual(await listed(ALICE, { createdAfter: createdAt }), []);
+            assert.ok(!(await listed(ALICE, { createdBefore: createdAt })).includes(ids.open));
+        });
+
+        it('leaves expired resources out', async () => {
+            await store.setExpiration(ids.alice, 1);
+            await sleep(5);
+
+            assert.deepEqual(await listed(ALICE), keys('bob', 'open'));
+        });
+
+        it('pages newest first with a cursor', async () => {
+            const seen = [];
+            let after = null;
+            let pages = 0;
+            for (;;) {
+                const { resources, hasMore } = await store.catalog(ALICE, { limit: 2, after });
+                seen.push(...resources);
+                pages++;
+                if (!hasMore) {
+                    break;
+                }
+                after = resources[resources.length - 1];
+            }
+
+            assert.equal(pages, 2);
+            assert.deepEqual(seen.map(r => r.id).sort(), keys('alice', 'bob', 'open'));
+            for (let i = 1; i < seen.length; i++) {
+                const newer = seen[i - 1];
+                const older = seen[i];
+                assert.ok(newer.createdAt > older.createdAt || (newer.createdAt === older.createdAt && newer.id > older.id));
+            }
+        });
+    });
+}
@@ -1,18 +1,15 @@
-const path = require('path');
 const { z } = require('zod');
-const { DatabaseSync } = require('node:sqlite');
+const { ToolError, ErrorCodes } = require('../mcp/errors');
+const { sqlError } = require('./sql-errors');
+const { withQueryWorker, throwIfAborted } = require('./sql-timeout');
+const { loggerFrom } = require('../mcp/logger');
+const { DB_PATH, getDatabase, timeQuery } = require('../resources/query');
+const { LABEL_LIMITS } = require('../resources/store');
+const { StoreError } = require('../resources/stores');
 
-const DB_PATH = path.join(__dirname, '..', 'insights.sqlite');
 const DEFAULT_SAMPLE_SIZE = 10;
-
-// Shared database connection
-let db = null;
-function getDatabase() {
-    if (!db) {
-        db = new DatabaseSync(DB_PATH, { readonly: true });
-    }
-    return db;
-}
+const DEFAULT_RESOURCE_NAME = 'Query Results';
+const QUERY_TIMEOUT_MS = 30 * 1000;
 
 /**
  * Dual-Response Query Tool
@@ -28,24 +25,79 @@ function getDatabase() {
 const queryDualResponse = (context) => {
     // Get shared resourceStore from context (injected by server)
     const resourceStore = context.resourceStore;
-    const debug = context.debug || false;
     const baseUrl = context.baseUrl || 'http://localhost:3000';
 
     if (!resourceStore) {
         throw new Error('resourceStore not provided in context');
     }
 
+    // Resource store calls report backend failures (e.g. a locked resources.sqlite)
+    // as UNAVAILABLE, so they aren't mistaken for a problem with the SQL
+    const fromStore = async (call) => {
+        try {
+            return await call();
+        } catch (error) {
+            if (!(error instanceof StoreError)) {
+                throw error;
+            }
+            throw new ToolError(ErrorCodes.UNAVAILABLE, `Resource store unavailable: ${error.message}`, {
+                store_error: error.cause.errstr || error.cause.message
+            });
+        }
+    };
+
+    // Dual-response structure: sample rows for the LLM, a link to the full result
+    const dualResponse = (resource, sampleRows, reused) => ({
+        results: sampleRows,
+        resource: {
+            uri: `resource://${resource.id}`,
+            url: `${baseUrl}/resources/${resource.id}`,
+            name: resource.name || DEFAULT_RESOURCE_NAME,
+            description: resource.description || undefined,
+            mimeType: 'application/json'
+        },
+        metadata: {
+            total_count: resource.totalCount,
+            sample_count: sampleRows.length,
+            executed_at: resource.createdAt,
+            expires_at: resource.expiresAt,
+            storage: resource.strategy,
+            tags: resource.tags || [],
+            reused,
+            parent_uri: resource.parentId ? `resource://${resource.parentId}` : null
+        }
+    });
+
     return {
         name: 'query',
+        title: 'SQL Query (Dual Response)',
+        version: '1.0.0',
+        timeout: QUERY_TIMEOUT_MS,
+        // Read-only against the database; a call stores a result resource (or renews the one it reuses)
+        annotations: {
+            readOnlyHint: true,
+            idempotentHint: false,
+            openWorldHint: false
+        },
         description: `Execute a read-only SQL query against the insights database. Returns a SAMPLE of results (up to ${DEFAULT_SAMPLE_SIZE} rows) along with total count and a resource link for retrieving the full dataset. The database contains IPEDS higher education data including institutions, programs, degrees awarded, occupations, and program-occupation mappings. Use the schema(table) tool first to understand table structures.
 
 IMPORTANT: Institution and program names are stored in UPPERCASE. When searching by name, always use case-insensitive matching:
 - Use LIKE with UPPER(): WHERE UPPER(name) LIKE UPPER('%ramapo%')
 - Or use LIKE with uppercase pattern: WHERE name LIKE '%RAMAPO%'
-- Never use exact = comparisons for names unless you're certain of the exact case.`,
+- Never use exact = comparisons for names unless you're certain of the exact case.
+
+Re-running a query you already ran returns the same resource (metadata.reused is true) with its original count, sample and parent.
+
+Give results worth keeping a name (and tags) so users can find them again later.`,
 
         schema: {
-            sql: z.string().describe('The SQL SELECT query to execute. Must be a valid SQLite query. Do NOT include LIMIT clause - sampling is handled automatically. Use LIKE with UPPER() for case-insensitive name searches.')
+            sql: z.string().describe('The SQL SELECT query to execute. Must be a valid SQLite query. Do NOT include LIMIT clause - sampling is handled automatically. Use LIKE with UPPER() for case-insensitive name searches.'),
+            ttl_seconds: z.number().int().positive().optional().describe('How long the full result set stays available after its last fetch (default: 15 minutes). Only raise this for results the user will come back to.'),
+            storage: z.enum(['query', 'snapshot']).optional().describe('How the full result set is kept: "query" re-runs the SQL on every fetch (always current), "snapshot" captures the rows now so every page comes from the same data. Omit to use the server default.'),
+            parent: z.string().optional().describe('resource:// URI of an earlier result this query refines (e.g. the same query with an added filter or sort). Recorded so users can see how a result was reached.'),
+            name: z.string().min(1).max(LABEL_LIMITS.name).optional().describe('Short title for the result, e.g. "Public NJ institutions by enrollment". Users browse saved results by it.'),
+            description: z.string().max(LABEL_LIMITS.description).optional().describe('One or two sentences on what the result answers'),
+            tags: z.array(z.string().min(1).max(LABEL_LIMITS.tag)).max(LABEL_LIMITS.tags).optional().describe('Labels for filtering saved results, e.g. ["nj", "enrollment"]')
         },
 
         // Output schema matches the dual-response spec
@@ -55,92 +107,126 @@ IMPORTANT: Institution and program names are stored in UPPERCASE. When searching
                 uri: z.string().describe('Resource URI (resource://guid format)'),
                 url: z.string().describe('HTTP URL for REST endpoint'),
                 name: z.string(),
+                description: z.string().optional(),
                 mimeType: z.string()
             }).describe('Resource link for fetching full results'),
             metadata: z.object({
                 total_count: z.number().describe('Total number of matching rows'),
                 sample_count: z.number().describe('Number of rows in sample'),
-                executed_at: z.string()
+                executed_at: z.string(),
+                expires_at: z.string().nullable().describe('When the resource expires unless it is fetched again (null while pinned)'),
+                storage: z.enum(['query', 'snapshot']).describe('How the full result set is kept'),
+                tags: z.array(z.string()).describe('Labels the result can be found by'),
+                reused: z.boolean().describe('True when an identical earlier query\'s resource was returned instead of running it again'),
+                parent_uri: z.string().nullable().describe('URI of the result this one refines')
             }).describe('Query execution metadata')
         },
 
-        handler: async (args) => {
-            const { sql } = args;
+        handler: async (args, extra = {}) => {
+            const { sql, ttl_seconds: ttlSeconds, storage, parent: parentUri, name, description, tags } = args;
             const sampleSize = DEFAULT_SAMPLE_SIZE;
+            const reportProgress = extra.reportProgress || (async () => {});
+            // The per-request context carries the logger bound to this call's requestId
+            const log = loggerFrom(extra.context || context, 'query-dual-response');
 
-            if (debug) {
-                console.log('[query-dual-response] ========================================');
-                console.log('[query-dual-response] Executing query');
-                console.log('[query-dual-response] SQL:', sql);
-                console.log('[query-dual-response] Sample size:', sampleSize);
-            }
-
-            try {
-                const database = getDatabase();
-
-                // Step 1: Get total count
-                const countSql = `SELECT COUNT(*) as count FROM (${sql})`;
-                if (debug) {
-                    console.log('[query-dual-response] Count SQL:', countSql);
-                }
+            // Bind the resource to the caller so a leaked URL is useless to others
+            const owner = (extra.context || context).principal || null;
 
-                const countStmt = database.prepare(countSql);
-                const countResult = countStmt.all();
-                const totalCount = countResult[0].count;
+            log.debug('Executing query', { sql, sampleSize });
 
-                if (debug) {
-                    console.log('[query-dual-response] Total count:', totalCount);
+            try {
+                // The parent must be a live resource the caller can read
+                let parent = null;
+                if (parentUri) {
+                    const parentId = parentUri.replace(/^resource:\/\//, '');
+                    parent = await fromStore(() => resourceStore.get(parentId, { renew: false }));
+                    if (!parent || !resourceStore.canAccess(parent, owner)) {
+                        throw new ToolError(ErrorCodes.NOT_FOUND, `Parent resource not found: ${parentUri}`, { parent: parentUri });
+                    }
                 }
 
-                // Step 2: Get sample rows
-                const sampleSql = `${sql} LIMIT ${sampleSize}`;
-                if (debug) {
-                    console.log('[query-dual-response] Sample SQL:', sampleSql);
+                // Step 0: Answer a repeated query with the resource it already has,
+                // unless a different storage was explicitly asked for
+                const existing = await fromStore(() => resourceStore.findReusable({ sql, owner }));
+                if (existing && (!storage || resourceStore.strategyFor(storage, existing.totalCount) === existing.strategy)) {
+                    let resource = ttlSeconds && !existing.pinned
+                        ? await fromStore(() => resourceStore.setExpiration(existing.id, ttlSeconds * 1000))
+                        : existing;
+                    // Labels given this time replace the earlier ones
+                    if (resource && (name || description || tags)) {
+                        resource = await fromStore(() => resourceStore.describe(existing.id, { name, description, tags }));
+                    }
+                    if (resource) {
+                        log.debug('Reused resource', { guid: resource.id });
+                        return dualResponse(resource, resource.sample, true);
+                    }
                 }
 
-                const sampleStmt = database.prepare(sampleSql);
-                const sampleRows = sampleStmt.all();
+                // Steps 1 and 2 share one worker; it is stopped if the tool call
+                // times out or is cancelled
+                const { totalCount, strategy, rows, sampleRows } = await withQueryWorker(DB_PATH, extra, async (query) => {
+                    // Step 1: Get total count
+                    await reportProgress(0, 3, 'Counting rows');
+
+                    const countResult = await timeQuery(context.metrics, 'count', () => query(sql, { count: true }));
+                    const totalCount = countResult[0].count;
+                    log.debug('Counted rows', { totalCount });
+
+                    // Step 2: Get sample rows (a snapshot captures every row, the sample is its start)
+                    const strategy = resourceStore.strategyFor(storage, totalCount);
+                    if (strategy === 'snapshot') {
+                        await reportProgress(1, 3, `Capturing ${totalCount} rows`);
+                        const rows = await timeQuery(context.metrics, 'snapshot', () => query(sql));
+                        return { totalCount, strategy, rows, sampleRows: rows.slice(0, sampleSize) };
+                    }
 
-                if (debug) {
-                    console.log('[query-dual-response] Sample rows returned:', sampleRows.length);
-                }
+                    await reportProgress(1, 3, `Sampling ${sampleSize} of ${totalCount} rows`);
+                    const sampleRows = await timeQuery(context.metrics, 'sample', () => query(sql, { limit: sampleSize }));
+                    return { totalCount, strategy, rows: undefined, sampleRows };
+                });
+                log.debug('Sampled rows', { sampleCount: sampleRows.length, strategy });
 
-                // Step 3: Store resource for REST retrieval
-                const guid = resourceStore.create({
+                // Step 3: Store resource for REST retrieval (skip if the call was abandoned)
+                await reportProgress(2, 3, 'Storing resource');
+                throwIfAborted(extra);
+                const guid = await fromStore(() => resourceStore.create({
                     sql: sql,  // Store WITHOUT LIMIT for pagination
-                    totalCount
-                });
+                    totalCount,
+                    owner,
+                    // Omitted: the store's default TTL applies
+                    ttlMs: ttlSeconds ? ttlSeconds * 1000 : undefined,
+                    strategy,
+                    rows,
+                    sample: sampleRows,
+                    parent,
+                    sessionId: extra.sessionId || null,
+                    name,
+                    description,
+                    tags
+                }));
+                const resource = await fromStore(() => resourceStore.get(guid, { renew: false }));
+                if (!resource) {
+                    // Evicted (or expired) between being stored and read back
+                    throw new ToolError(ErrorCodes.UNAVAILABLE, 'Resource was removed before it could be returned', { guid });
+                }
 
-                const resourceUri = `resource://${guid}`;
-                const resourceUrl = `${baseUrl}/resources/${guid}`;
+                log.debug('Created resource', { guid });
 
-                if (debug) {
-                    console.log('[query-dual-response] Created resource:', guid);
-                    console.log('[query-dual-response] Resource URL:', resourceUrl);
-                    console.log('[query-dual-response] ========================================');
-                }
+                await reportProgress(3, 3, 'Done');
 
                 // Step 4: Return dual-response structure
-                return {
-                    results: sampleRows,
-                    resource: {
-                        uri: resourceUri,
-                        url: resourceUrl,
-                        name: 'Query Results',
-                        mimeType: 'application/json'
-                    },
-                    metadata: {
-                        total_count: totalCount,
-                        sample_count: sampleRows.length,
-                        executed_at: new Date().toISOString()
-                    }
-                };
+                return dualResponse(resource, sampleRows, false);
 
             } catch (error) {
-                if (debug) {
-                    console.error('[query-dual-response] Error:', error.message);
+                // SQLite's errors are about the SQL; anything else unexpected is the server's
+                let toolError = error;
+                if (error.code === 'ERR_SQLITE_ERROR') {
+                    toolError = sqlError(error, sql, getDatabase);
+                } else if (!(error instanceof ToolError)) {
+                    toolError = new ToolError(ErrorCodes.INTERNAL_ERROR, `Query failed: ${error.message}`);
                 }
-                throw new Error(`SQL execution failed: ${error.message}`);
+                log.warn('Query failed', { code: toolError.code, error: error.message, sql });
+                throw toolError;
             }
         }
     };
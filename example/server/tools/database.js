@@ -1,6 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 const { z } = require('zod');
+const { ToolError, ErrorCodes } = require('../mcp/errors');
+const { sqlError } = require('./sql-errors');
+const { allWithDeadline } = require('./sql-timeout');
+const { DB_PATH, getDatabase, timeQuery } = require('../resources/query');
+
+// Per-call time limit for SQL tools
+const QUERY_TIMEOUT_MS = 30 * 1000;
 
 // Check Node.js version requirement
 const nodeVersion = process.versions.node;
@@ -11,8 +18,6 @@ if (major < 22 || (major === 22 && minor < 5)) {
     console.error(`Please upgrade Node.js to use the database tools.`);
 }
 
-const { DatabaseSync } = require('node:sqlite');
-
 // Allowed table names
 const ALLOWED_TABLES = [
     'institutions',
@@ -23,35 +28,25 @@ const ALLOWED_TABLES = [
     'program_occupations'
 ];
 
-// Database path
-const DB_PATH = path.join(__dirname, '..', 'insights.sqlite');
-
-// Initialize read-only database connection
-let db = null;
-function getDatabase() {
-    if (!db) {
-        try {
-            db = new DatabaseSync(DB_PATH, { readonly: true });
-        } catch (error) {
-            throw new Error(`Failed to open database: ${error.message}`);
-        }
-    }
-    return db;
-}
-
 /**
  * Tips tool - Returns database overview and query best practices
  */
 const tips = (context) => {
     return {
         name: 'tips',
+        title: 'Database Overview',
+        annotations: {
+            readOnlyHint: true,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         description: 'Returns an overview of the insights database including table relationships, common query patterns, and best practices. Use this tool first to understand the database structure before querying.',
         schema: {},
         handler: async (args) => {
             const tipsFilePath = path.join(__dirname, 'insights-schema-tips.md');
 
             if (!fs.existsSync(tipsFilePath)) {
-                throw new Error('Tips documentation not found');
+                throw new ToolError(ErrorCodes.NOT_FOUND, 'Tips documentation not found');
             }
 
             const markdown = fs.readFileSync(tipsFilePath, 'utf-8');
@@ -66,6 +61,12 @@ const tips = (context) => {
 const schema = (context) => {
     return {
         name: 'schema',
+        title: 'Table Schema',
+        annotations: {
+            readOnlyHint: true,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         description: 'Returns the schema documentation for a specified database table. Use this tool to understand table structure, column definitions, and relationships before tables before writing queries.',
         schema: {
             table: z.enum(ALLOWED_TABLES).describe(`Table name. Must be one of: ${ALLOWED_TABLES.join(', ')}`)
@@ -78,7 +79,7 @@ const schema = (context) => {
 
             // Check if file exists
             if (!fs.existsSync(schemaFilePath)) {
-                throw new Error(`Schema documentation not found for table: ${table}`);
+                throw new ToolError(ErrorCodes.NOT_FOUND, `Schema documentation not found for table: ${table}`, { table });
             }
 
             // Read and return the markdown content
@@ -95,6 +96,13 @@ const schema = (context) => {
 const query = (context) => {
     return {
         name: 'query',
+        title: 'SQL Query',
+        timeout: QUERY_TIMEOUT_MS,
+        annotations: {
+            readOnlyHint: true,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         description: `Execute a read-only SQL query against the insights database. The database connection is read-only, so only SELECT statements will work. Use the schema(table) tool first to understand table structures and relationships. The database contains IPEDS higher education data including institutions, programs, degrees awarded, occupations, and program-occupation mappings.
 
 IMPORTANT: Institution and program names are stored in UPPERCASE. When searching by name, always use case-insensitive matching:
@@ -108,16 +116,12 @@ IMPORTANT: Institution and program names are stored in UPPERCASE. When searching
             rows: z.array(z.record(z.any())).describe('Array of result rows, where each row is an object with column names as keys'),
             rowCount: z.number().describe('The number of rows returned by the query')
         },
-        handler: async (args) => {
+        handler: async (args, extra = {}) => {
             const { sql } = args;
 
             try {
-                // Get database connection
-                const database = getDatabase();
-
-                // Prepare and execute the query
-                const stmt = database.prepare(sql);
-                const rows = stmt.all();
+                // Execute the query, stopping it if the tool times out
+                const rows = await timeQuery(context.metrics, 'query', () => allWithDeadline(DB_PATH, sql, extra));
 
                 return {
                     rows: rows,
@@ -125,8 +129,8 @@ IMPORTANT: Institution and program names are stored in UPPERCASE. When searching
                 };
 
             } catch (error) {
-                // Return full SQLite error message for debugging
-                throw new Error(`SQL execution failed: ${error.message}`);
+                // Return full SQLite error message (plus suggestions) so the LLM can correct the SQL
+                throw sqlError(error, sql, getDatabase);
             }
         }
     };
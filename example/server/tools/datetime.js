@@ -6,7 +6,13 @@ const { z } = require('zod');
 const datetime = (context) => {
     return {
         name: 'datetime',
+        title: 'Current Date and Time',
         description: 'Returns the current date and time in ISO 8601 format.',
+        annotations: {
+            readOnlyHint: true,
+            idempotentHint: false,
+            openWorldHint: false
+        },
         schema: {},
         outputSchema: {
             date: z.string().describe('The current date and time in ISO 8601 format'),
@@ -25,7 +31,13 @@ const datetime = (context) => {
 const datetime_converter = (context) => {
     return {
         name: 'datetime-converter',
+        title: 'Timestamp Converter',
         description: 'Converts a UNIX timestamp (milliseconds) to ISO 8601 format.',
+        annotations: {
+            readOnlyHint: true,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         schema: {
             timestamp: z.number().describe('The timestamp in UNIX milliseconds'),
         },
@@ -0,0 +1,91 @@
+const { ToolError, ErrorCodes } = require('../mcp/errors');
+
+/**
+ * Levenshtein distance between two strings (case-insensitive)
+ */
+function distance(a, b) {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j - 1] + 1,
+                prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            prev = current;
+        }
+    }
+
+    return row[b.length];
+}
+
+/**
+ * Closest known names to an unknown one (at most 3, within 2 edits)
+ */
+function suggest(name, candidates) {
+    return [...new Set(candidates)]
+        .map(candidate => ({ candidate, d: distance(name, candidate) }))
+        .filter(({ d }) => d <= 2)
+        .sort((x, y) => x.d - y.d)
+        .slice(0, 3)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * Build a SQL_ERROR ToolError from a SQLite failure
+ *
+ * Unknown tables and columns are extracted into the details, with
+ * "did you mean" suggestions taken from the database schema.
+ *
+ * @param {Error} error - The SQLite error
+ * @param {string} sql - The SQL that failed
+ * @param {DatabaseSync|Function} database - Database used to look up suggestions,
+ *   or a function returning it (only called when there is something to suggest)
+ * @returns {ToolError}
+ */
+function sqlError(error, sql, database) {
+    // Already classified (e.g. a TIMEOUT from the deadline guard)
+    if (error instanceof ToolError) {
+        return error;
+    }
+
+    const details = { sql, sqlite_message: error.message };
+    let message = `SQL execution failed: ${error.message}`;
+
+    const column = /no such column: ([\w.]+)/i.exec(error.message);
+    const table = /no such table: ([\w.]+)/i.exec(error.message);
+
+    try {
+        if ((table || column) && typeof database === 'function') {
+            database = database();
+        }
+        if (table && database) {
+            const tables = database.prepare("SELECT name FROM sqlite_master WHERE type IN ('table', 'view')").all()
+                .map(r => r.name);
+            details.table = table[1];
+            details.suggestions = suggest(table[1], tables);
+        } else if (column && database) {
+            const name = column[1].split('.').pop();
+            const columns = database.prepare("SELECT p.name FROM sqlite_master m, pragma_table_info(m.name) p WHERE m.type = 'table'").all()
+                .map(r => r.name);
+            details.column = column[1];
+            details.suggestions = suggest(name, columns);
+        }
+    } catch {
+        // Suggestions are best-effort only
+    }
+
+    if (details.suggestions && details.suggestions.length > 0) {
+        message += `. Did you mean ${details.suggestions.map(s => `'${s}'`).join(' or ')}?`;
+    }
+
+    return new ToolError(ErrorCodes.SQL_ERROR, message, details);
+}
+
+module.exports = { sqlError };
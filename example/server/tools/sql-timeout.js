@@ -0,0 +1,143 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { ToolError, ErrorCodes } = require('../mcp/errors');
+
+const WORKER_PATH = path.join(__dirname, 'sql-worker.js');
+
+// node:sqlite runs statements synchronously, so a query on the main thread
+// can't be interrupted and blocks every other request while it runs. Queries
+// instead run in a worker thread per call, which is terminated when the call
+// times out or is cancelled; the call settles immediately either way.
+const WORKER_OPTIONS = {
+    // The worker inherits --experimental-sqlite; its warning was already printed once
+    execArgv: [...process.execArgv, '--disable-warning=ExperimentalWarning']
+};
+
+function timeoutError(deadline, sql) {
+    return new ToolError(ErrorCodes.TIMEOUT, 'Query exceeded the tool timeout and was stopped', {
+        sql,
+        deadline: new Date(deadline).toISOString()
+    });
+}
+
+function abortError(signal) {
+    return signal.reason instanceof ToolError
+        ? signal.reason
+        : new ToolError(ErrorCodes.TIMEOUT, 'Tool call was cancelled', { cancelled: true });
+}
+
+/**
+ * Throw if the tool call has been cancelled or has timed out
+ * @param {Object} extra - Handler extras ({ signal, deadline })
+ */
+function throwIfAborted(extra = {}) {
+    if (extra.signal && extra.signal.aborted) {
+        throw abortError(extra.signal);
+    }
+    if (extra.deadline && Date.now() > extra.deadline) {
+        throw new ToolError(ErrorCodes.TIMEOUT, 'Tool call exceeded its timeout');
+    }
+}
+
+/**
+ * Run read-only queries in one worker thread that is stopped when the tool
+ * call's deadline passes or its signal aborts
+ *
+ * `work` is given query(sql, options) and runs its queries through it one
+ * after another; the worker is stopped once work settles. A query pending at
+ * the deadline rejects immediately, and so does any query started after it.
+ *
+ * @param {string} file - Database file, opened read-only by the worker
+ * @param {Object} extra - Handler extras ({ signal, deadline })
+ * @param {Function} work - async (query) => result, where query(sql, options)
+ *   resolves to the rows of sql. Options:
+ *     count - resolve to [{ count }] instead of the rows
+ *     limit - stop after this many rows
+ * @returns {Promise<*>} What work resolves to
+ */
+async function withQueryWorker(file, extra, work) {
+    throwIfAborted(extra);
+
+    const worker = new Worker(WORKER_PATH, { ...WORKER_OPTIONS, workerData: { file } });
+    const pending = new Map();
+    let nextId = 0;
+    let currentSql = null;
+    let failure = null;
+
+    // The first of timeout, cancellation and a worker crash ends every query
+    const fail = (error) => {
+        if (failure) {
+            return;
+        }
+        failure = error;
+        for (const { reject } of pending.values()) {
+            reject(error);
+        }
+        pending.clear();
+        // Stops the worker between rows; a single long SQLite step finishes off the main thread
+        worker.terminate();
+    };
+    const onAbort = () => fail(abortError(extra.signal));
+
+    const timer = extra.deadline
+        ? setTimeout(() => fail(timeoutError(extra.deadline, currentSql)), Math.max(extra.deadline - Date.now(), 0))
+        : null;
+    if (extra.signal) {
+        extra.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    worker.on('message', ({ id, rows, error }) => {
+        const query = pending.get(id);
+        if (!query) {
+            return;
+        }
+        pending.delete(id);
+        if (error) {
+            query.reject(Object.assign(new Error(error.message), error));
+        } else {
+            query.resolve(rows);
+        }
+    });
+    worker.once('error', (error) => fail(error));
+    worker.once('exit', (code) => fail(new Error(`Query worker exited with code ${code}`)));
+
+    const query = (sql, options = {}) => new Promise((resolve, reject) => {
+        if (failure) {
+            return reject(failure);
+        }
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        currentSql = sql;
+        worker.postMessage({ id, sql, count: Boolean(options.count), limit: options.limit ?? null });
+    });
+
+    try {
+        return await work(query);
+    } finally {
+        clearTimeout(timer);
+        if (extra.signal) {
+            extra.signal.removeEventListener('abort', onAbort);
+        }
+        fail(new Error('Query worker was stopped'));
+    }
+}
+
+/**
+ * Execute one read-only query in a worker thread (see withQueryWorker)
+ *
+ * The SQL runs as given (comments, a trailing semicolon and PRAGMAs
+ * included); counts wrap it in SELECT COUNT(*) where SQLite allows it.
+ *
+ * @param {string} file - Database file, opened read-only by the worker
+ * @param {string} sql - The SQL query
+ * @param {Object} extra - Handler extras ({ signal, deadline })
+ * @param {Object} options - Query options
+ * @param {boolean} options.count - Resolve to [{ count }] instead of the rows
+ * @param {number} options.limit - Stop after this many rows
+ * @returns {Promise<Array>} Result rows
+ */
+function allWithDeadline(file, sql, extra = {}, options = {}) {
+    return withQueryWorker(file, extra, (query) => query(sql, options));
+}
+
+module.exports = { withQueryWorker, allWithDeadline, throwIfAborted };
@@ -0,0 +1,56 @@
+const { parentPort, workerData } = require('worker_threads');
+const { DatabaseSync } = require('node:sqlite');
+const { subquerySql } = require('../resources/sql');
+
+/**
+ * Worker thread that runs the read-only queries of one caller (see sql-timeout.js)
+ *
+ * workerData: { file }
+ * Each message { id, sql, count, limit } is answered with { id, rows } or
+ * { id, error }:
+ *   count - [{ count }] with the number of rows instead of the rows
+ *   limit - stop after this many rows
+ *
+ * Counts wrap the SQL in SELECT COUNT(*) so SQLite counts without producing
+ * rows; SQL that can't be a subquery (a PRAGMA, say) is stepped through instead.
+ */
+let database = null;
+
+function run({ sql, count, limit }) {
+    if (!database) {
+        database = new DatabaseSync(workerData.file, { readOnly: true });
+    }
+
+    const counted = count ? subquerySql(sql) : null;
+    if (counted) {
+        return [database.prepare(`SELECT COUNT(*) AS count FROM (${counted})`).get()];
+    }
+
+    const statement = database.prepare(sql);
+    // iterate() arrived in Node 22.13; all() on older releases
+    const results = typeof statement.iterate === 'function' ? statement.iterate() : statement.all();
+
+    const rows = [];
+    let total = 0;
+    for (const row of results) {
+        if (limit !== null && total >= limit) {
+            break;
+        }
+        total++;
+        if (!count) {
+            rows.push(row);
+        }
+    }
+    return count ? [{ count: total }] : rows;
+}
+
+parentPort.on('message', (message) => {
+    try {
+        parentPort.postMessage({ id: message.id, rows: run(message) });
+    } catch (error) {
+        parentPort.postMessage({
+            id: message.id,
+            error: { message: error.message, code: error.code, errcode: error.errcode, errstr: error.errstr }
+        });
+    }
+});